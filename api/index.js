@@ -1,10 +1,12 @@
 const express = require('express');
 const cors = require('cors');
 const { validateConfig } = require('../src/utils/config');
+const CrawlAuth = require('../src/services/auth');
 const crawlerRoutes = require('./routes/crawler');
 const creditRoutes = require('./routes/credits');
 const recheckRoutes = require('./routes/recheck');
 const healthRoutes = require('./routes/health');
+const scheduleRoutes = require('./routes/schedules');
 // Lazy-require middlewares only when enabling them to avoid startup side-effects
 // const rateLimiterMiddleware = require('../src/middleware/rateLimiter');
 // const monitoringMiddleware = require('../src/middleware/monitoring');
@@ -31,7 +33,7 @@ const app = express();
 // Middleware
 app.use(cors({
   origin: '*', // Be more restrictive in production
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json());
@@ -56,6 +58,7 @@ app.use('/api/crawler', crawlerRoutes);
 app.use('/api/credits', creditRoutes);
 app.use('/api/recheck', recheckRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/schedules', scheduleRoutes);
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -65,7 +68,7 @@ app.use((err, req, res, next) => {
     stack: err.stack,
     url: req.url,
     method: req.method,
-    body: req.body,
+    body: CrawlAuth.redact(req.body),
     query: req.query,
     headers: req.headers,
     env: {
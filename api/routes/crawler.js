@@ -1,6 +1,17 @@
 const express = require('express');
+const JobQueue = require('../../src/services/jobQueue');
+const CheckpointStore = require('../../src/services/checkpoints');
+const LinkGraph = require('../../src/services/linkGraph');
+const ArtifactStore = require('../../src/services/artifacts');
+const CrawlDiff = require('../../src/services/crawlDiff');
+const ScreenshotService = require('../../src/services/screenshots');
+const { validateCrawlOptions } = require('../../src/utils/crawlOptions');
 
 const router = express.Router();
+const jobQueue = new JobQueue();
+const checkpoints = new CheckpointStore();
+const artifacts = new ArtifactStore();
+const crawlDiff = new CrawlDiff();
 
 // Initialize crawler
 router.get('/status', (req, res) => {
@@ -10,10 +21,10 @@ router.get('/status', (req, res) => {
   });
 });
 
-// Start a crawl (lazy-load Puppeteer/CrawlerService to avoid cold-start crashes)
+// Start a crawl: enqueue a job and return immediately, clients poll /jobs/:jobId
 router.post('/crawl', async (req, res) => {
   try {
-    const { url, depth = 1 } = req.body;
+    const { url, depth = 1, userId } = req.body;
 
     if (!url) {
       return res.status(400).json({
@@ -21,6 +32,12 @@ router.post('/crawl', async (req, res) => {
       });
     }
 
+    if (!userId) {
+      return res.status(400).json({
+        error: 'User ID is required'
+      });
+    }
+
     // Validate URL
     try {
       new URL(url);
@@ -30,21 +47,258 @@ router.post('/crawl', async (req, res) => {
       });
     }
 
-    // Lazy import to avoid importing Puppeteer at cold start
-    const CrawlerService = require('../../src/services/crawler');
-    const crawler = new CrawlerService();
+    // Validate crawl options (mode, scope, include/exclude patterns, maxPages)
+    try {
+      validateCrawlOptions(url, depth, req.body.options);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid crawl options',
+        message: error.message
+      });
+    }
 
-    const result = await crawler.crawl({
+    const job = await jobQueue.enqueue({
       url,
       depth,
+      userId,
       options: req.body.options
     });
 
-    res.json(result);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.state,
+      statusUrl: `/api/crawler/jobs/${job.id}`
+    });
+
+    jobQueue.runInProcess(job.id);
   } catch (error) {
     console.error('Crawl error:', error);
     res.status(500).json({
-      error: 'Crawl failed',
+      error: 'Failed to queue crawl',
+      message: error.message
+    });
+  }
+});
+
+// Get crawl job state, progress and result
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      jobId: job.id,
+      status: job.state,
+      url: job.request.url,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      result: job.result
+    });
+  } catch (error) {
+    console.error('Job status error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch job',
+      message: error.message
+    });
+  }
+});
+
+// Export the internal link graph of a completed job as JSON (default) or GraphML
+router.get('/jobs/:jobId/link-graph', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'graphml'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Use one of: json, graphml'
+      });
+    }
+
+    const state = await artifacts.load(req.params.jobId, 'link-graph');
+    if (!state) {
+      return res.status(404).json({
+        error: 'Link graph not found'
+      });
+    }
+
+    const graph = new LinkGraph(state.startUrl);
+    graph.restoreState(state);
+
+    if (format === 'graphml') {
+      res.set('Content-Disposition', `attachment; filename="link-graph-${req.params.jobId}.graphml"`);
+      return res.type('application/graphml+xml').send(graph.toGraphML());
+    }
+
+    res.json(graph.toJSON());
+  } catch (error) {
+    console.error('Link graph error:', error);
+    res.status(500).json({
+      error: 'Failed to export link graph',
+      message: error.message
+    });
+  }
+});
+
+// Download the HAR of a job crawled with options.har
+router.get('/jobs/:jobId/har', async (req, res) => {
+  try {
+    const har = await artifacts.load(req.params.jobId, 'har');
+    if (!har) {
+      return res.status(404).json({
+        error: 'HAR not found',
+        message: 'HAR is only recorded for browser crawls started with options.har'
+      });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="crawl-${req.params.jobId}.har"`);
+    res.json(har);
+  } catch (error) {
+    console.error('HAR export error:', error);
+    res.status(500).json({
+      error: 'Failed to export HAR',
+      message: error.message
+    });
+  }
+});
+
+// Screenshots stored by the local backend; other backends return their own URLs
+router.get('/screenshots/*', async (req, res) => {
+  try {
+    const storage = ScreenshotService.createStorage();
+    const image = storage.load ? await storage.load(req.params[0]) : null;
+    if (!image) {
+      return res.status(404).json({
+        error: 'Screenshot not found'
+      });
+    }
+
+    res.type('image/png').send(image);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid screenshot key',
+        message: error.message
+      });
+    }
+
+    console.error('Screenshot error:', error);
+    res.status(500).json({
+      error: 'Failed to load screenshot',
+      message: error.message
+    });
+  }
+});
+
+// A job's result while the job record exists, afterwards the issue snapshot stored with it.
+// Null when neither exists; `result` is null for jobs that haven't completed.
+async function loadCompletedCrawl(jobId) {
+  const job = await jobQueue.getJob(jobId);
+  if (job) {
+    return { job, result: job.state === 'completed' ? job.result : null };
+  }
+
+  const snapshot = await artifacts.load(jobId, 'snapshot');
+  return snapshot ? { job: null, result: snapshot } : null;
+}
+
+// Compare two completed crawls of the same site: /diff?base=<jobId>&current=<jobId>
+router.get('/diff', async (req, res) => {
+  try {
+    const { base, current } = req.query;
+
+    if (!base || !current) {
+      return res.status(400).json({
+        error: 'base and current job IDs are required'
+      });
+    }
+
+    const [baseCrawl, currentCrawl] = await Promise.all([loadCompletedCrawl(base), loadCompletedCrawl(current)]);
+
+    const missing = [[base, baseCrawl], [current, currentCrawl]].find(([, crawl]) => !crawl);
+    if (missing) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No job ${missing[0]}`
+      });
+    }
+
+    const unfinished = [baseCrawl, currentCrawl].find(crawl => !crawl.result);
+    if (unfinished) {
+      return res.status(409).json({
+        error: 'Job not completed',
+        message: `Job ${unfinished.job.id} is ${unfinished.job.state}, only completed crawls can be compared`
+      });
+    }
+
+    const [baseResult, currentResult] = [baseCrawl.result, currentCrawl.result];
+    if (new URL(baseResult.url).origin !== new URL(currentResult.url).origin) {
+      return res.status(400).json({
+        error: 'Jobs crawled different sites',
+        message: `${baseResult.url} and ${currentResult.url} are not on the same origin`
+      });
+    }
+
+    res.json(crawlDiff.compare(baseResult, currentResult));
+  } catch (error) {
+    console.error('Crawl diff error:', error);
+    res.status(500).json({
+      error: 'Failed to compare crawls',
+      message: error.message
+    });
+  }
+});
+
+// Resume an interrupted crawl job from its last checkpoint
+router.post('/jobs/:jobId/resume', async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    if (!(await jobQueue.isResumable(job))) {
+      return res.status(409).json({
+        error: 'Job cannot be resumed',
+        message: `Job is ${job.state}`
+      });
+    }
+
+    const checkpoint = await checkpoints.load(job.id);
+    if (!checkpoint) {
+      return res.status(409).json({
+        error: 'Job cannot be resumed',
+        message: 'No checkpoint available for this job'
+      });
+    }
+
+    await jobQueue.requeueForResume(job.id);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: 'queued',
+      resumeFrom: {
+        pagesChecked: checkpoint.pagesChecked,
+        savedAt: checkpoint.savedAt
+      },
+      statusUrl: `/api/crawler/jobs/${job.id}`
+    });
+
+    jobQueue.runInProcess(job.id);
+  } catch (error) {
+    console.error('Resume error:', error);
+    res.status(500).json({
+      error: 'Failed to resume crawl',
       message: error.message
     });
   }
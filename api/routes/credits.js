@@ -48,8 +48,8 @@ router.get('/transactions/:userId', async (req, res) => {
 // Calculate crawl cost
 router.post('/calculate-cost', (req, res) => {
   try {
-    const { pages, depth, customChecks } = req.body;
-    const cost = creditService.calculateCrawlCost(pages, depth, customChecks);
+    const { pages, depth, customChecks, mode } = req.body;
+    const cost = creditService.calculateCrawlCost(pages, depth, customChecks, mode);
     res.json({
       success: true,
       data: { cost }
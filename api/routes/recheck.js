@@ -77,7 +77,7 @@ router.post('/url', async (req, res) => {
       await creditService.deductCredits(
         userId, 
         recheckCost, 
-        \`Bulk recheck: \${url}\`
+        `Bulk recheck: ${url}`
       );
 
       res.json({
@@ -0,0 +1,143 @@
+const express = require('express');
+const ScheduleService = require('../../src/services/scheduler');
+const JobQueue = require('../../src/services/jobQueue');
+
+const router = express.Router();
+const scheduleService = new ScheduleService();
+const jobQueue = new JobQueue();
+
+// Vercel cron sends "Authorization: Bearer $CRON_SECRET" when the variable is set
+function isAuthorizedTick(req) {
+  const secret = process.env.CRON_SECRET;
+  return !secret || req.headers.authorization === `Bearer ${secret}`;
+}
+
+// Run every due schedule. Vercel cron calls this with GET, a local timer may POST.
+async function tick(req, res) {
+  if (!isAuthorizedTick(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized'
+    });
+  }
+
+  try {
+    const runs = await scheduleService.tick();
+    res.json({
+      ranAt: new Date().toISOString(),
+      runs
+    });
+
+    // Queued runs start here like POST /crawl jobs, unless a standalone worker picks them up
+    for (const run of runs.filter(run => run.status === 'queued')) {
+      jobQueue.runInProcess(run.jobId);
+    }
+  } catch (error) {
+    console.error('Schedule tick error:', error);
+    res.status(500).json({
+      error: 'Failed to run schedules',
+      message: error.message
+    });
+  }
+}
+
+router.get('/tick', tick);
+router.post('/tick', tick);
+
+// Create a schedule: { userId, url, depth, options, schedule: "<cron>" | "daily" | "weekly" ... }
+router.post('/', async (req, res) => {
+  try {
+    const schedule = await scheduleService.create(req.body);
+    res.status(201).json(schedule);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid schedule',
+        message: error.message
+      });
+    }
+
+    console.error('Create schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to create schedule',
+      message: error.message
+    });
+  }
+});
+
+// List schedules, optionally for one user
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await scheduleService.list(req.query.userId);
+    res.json({ schedules });
+  } catch (error) {
+    console.error('List schedules error:', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message
+    });
+  }
+});
+
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await scheduleService.get(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Get schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch schedule',
+      message: error.message
+    });
+  }
+});
+
+// Pause or resume a schedule: { enabled: true | false }
+router.post('/:scheduleId/enabled', async (req, res) => {
+  try {
+    const schedule = await scheduleService.get(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    res.json(await scheduleService.setEnabled(schedule.id, req.body.enabled !== false));
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to update schedule',
+      message: error.message
+    });
+  }
+});
+
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await scheduleService.get(req.params.scheduleId);
+
+    if (!schedule) {
+      return res.status(404).json({
+        error: 'Schedule not found'
+      });
+    }
+
+    await scheduleService.remove(schedule.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to delete schedule',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
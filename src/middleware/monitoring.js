@@ -4,7 +4,7 @@ const monitor = new MonitoringService();
 
 function monitoringMiddleware(req, res, next) {
   const start = Date.now();
-  const route = \`\${req.method} \${req.route?.path || req.path}\`;
+  const route = `${req.method} ${req.route?.path || req.path}`;
   const userId = req.body.userId || req.query.userId;
 
   // Add response listener
@@ -0,0 +1,31 @@
+const redis = require('../utils/redis');
+
+// Large per-job outputs (link graph, HAR) kept next to the job record instead of inside it
+class ArtifactStore {
+  constructor() {
+    this.redis = redis;
+    this.prefix = 'crawl_artifact';
+
+    // Kept as long as the job record they belong to
+    this.ttl = 7 * 86400;
+    // Issue snapshots outlive the job, so weekly and monthly re-crawls can still be diffed
+    this.snapshotTtl = 90 * 86400;
+  }
+
+  async save(jobId, name, data, ttl = this.ttl) {
+    await this.redis.set(`${this.prefix}:${jobId}:${name}`, JSON.stringify(data), { ex: ttl });
+  }
+
+  async remove(jobId, name) {
+    await this.redis.del(`${this.prefix}:${jobId}:${name}`);
+  }
+
+  async load(jobId, name) {
+    const data = await this.redis.get(`${this.prefix}:${jobId}:${name}`);
+    if (!data) return null;
+
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+}
+
+module.exports = ArtifactStore;
@@ -0,0 +1,129 @@
+class CrawlAuth {
+  constructor(auth = {}, startUrl) {
+    this.cookies = auth.cookies || [];
+    this.basic = auth.basic || null;
+    this.headers = auth.headers || {};
+    this.login = auth.login || null;
+
+    this.startUrl = startUrl;
+    // www.example.com often redirects to example.com or back; both are the same site
+    this.rootHost = new URL(startUrl).hostname.replace(/^www\./, '');
+  }
+
+  get enabled() {
+    return this.cookies.length > 0 || Boolean(this.basic) || Object.keys(this.headers).length > 0 || Boolean(this.login);
+  }
+
+  // Credentials are only ever sent to the crawled site, never to third-party hosts
+  isSiteUrl(url) {
+    try {
+      const { hostname } = new URL(url);
+      return hostname === this.rootHost || hostname.endsWith('.' + this.rootHost);
+    } catch {
+      return false;
+    }
+  }
+
+  // Custom headers and basic auth, sent with every request to the site
+  siteHeaders() {
+    const headers = { ...this.headers };
+    if (this.basic) {
+      const token = Buffer.from(`${this.basic.username}:${this.basic.password}`).toString('base64');
+      headers['Authorization'] = `Basic ${token}`;
+    }
+
+    return headers;
+  }
+
+  // Headers for plain HTTP requests (static mode, robots.txt, sitemaps, link checks)
+  headersFor(url) {
+    if (!this.isSiteUrl(url)) return {};
+
+    const headers = this.siteHeaders();
+    const cookies = this.cookies.filter(cookie => this.cookieMatches(cookie, url));
+    if (cookies.length > 0) {
+      headers['Cookie'] = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    return headers;
+  }
+
+  // Cookies without a domain belong to the site, like the headers
+  cookieMatches(cookie, url) {
+    const { hostname, pathname } = new URL(url);
+    const domain = (cookie.domain || this.rootHost).replace(/^\./, '');
+    const domainMatches = hostname === domain || hostname.endsWith('.' + domain);
+
+    return domainMatches && pathname.startsWith(cookie.path || '/');
+  }
+
+  async applyToPage(page) {
+    if (this.cookies.length > 0) {
+      await page.setCookie(...this.cookies.map(cookie => ({
+        ...cookie,
+        // Puppeteer needs a url or domain to scope each cookie
+        domain: cookie.domain || `.${this.rootHost}`
+      })));
+    }
+
+    // setExtraHTTPHeaders and page.authenticate would answer third parties too, so headers
+    // and basic auth are added per request, to the site's requests only
+    const headers = this.siteHeaders();
+    if (Object.keys(headers).length > 0) {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) return;
+
+        if (this.isSiteUrl(request.url())) {
+          request.continue({ headers: { ...request.headers(), ...headers } });
+        } else {
+          request.continue();
+        }
+      });
+    }
+  }
+
+  // Declarative login: open the form, fill the fields, submit, wait for proof of login
+  async performLogin(page) {
+    const { url, fields = [], submit, waitFor } = this.login;
+
+    await page.goto(new URL(url, this.startUrl).toString(), {
+      waitUntil: ['networkidle0', 'domcontentloaded'],
+      timeout: 30000
+    });
+
+    for (const field of fields) {
+      await page.waitForSelector(field.selector, { timeout: 10000 });
+      await page.$eval(field.selector, el => { el.value = ''; });
+      await page.type(field.selector, String(field.value));
+    }
+
+    if (submit) {
+      await Promise.all([
+        page.waitForNavigation({ waitUntil: 'networkidle0', timeout: 30000 }).catch(() => null),
+        page.click(submit)
+      ]);
+    }
+
+    if (waitFor) {
+      try {
+        await page.waitForSelector(waitFor, { timeout: 15000 });
+      } catch {
+        // Never include field values here, this message ends up in results and logs
+        throw new Error(`Login failed: "${waitFor}" did not appear after submitting the login form`);
+      }
+    }
+  }
+}
+
+// Copy of a request body or crawl request that is safe to log or return
+CrawlAuth.redact = function (body) {
+  if (!body || typeof body !== 'object' || !body.options?.auth) return body;
+
+  return {
+    ...body,
+    options: { ...body.options, auth: '[redacted]' }
+  };
+};
+
+module.exports = CrawlAuth;
@@ -0,0 +1,230 @@
+// Canonical analysis across the crawl. Each page's own tags are checked when it is crawled;
+// where canonicals point is only known once the targets have been crawled too.
+class CanonicalValidator {
+  constructor(normalizer) {
+    this.normalizer = normalizer;
+    // normalized URL -> { status, redirectsTo, noindex, canonical, source, target }
+    this.pages = new Map();
+    // Hops listed when reporting a canonical chain
+    this.maxChain = 10;
+    // Canonicalized pages need at least this many inlinks before their links are worth moving
+    this.minInlinks = 2;
+    // Canonical targets the crawl didn't reach that are fetched separately
+    this.maxTargetFetches = 100;
+  }
+
+  normalize(url) {
+    return this.normalizer.normalize(url) || url;
+  }
+
+  // The HTML tag wins over the header when both exist; conflicts are reported per page.
+  // Malformed values are reported per page and don't count as a canonical.
+  getCanonical(record, content) {
+    const html = content?.canonicals?.find(href => /^https?:\/\//i.test(href));
+    if (html) return { url: html, source: 'html' };
+
+    const header = this.headerCanonicals(record).find(href => /^https?:\/\//i.test(href));
+    return header ? { url: header, source: 'header' } : null;
+  }
+
+  headerCanonicals(record) {
+    return (record.headerLinks || [])
+      .filter(link => link.rel.split(/\s+/).includes('canonical'))
+      .map(link => link.href);
+  }
+
+  isNoindex(record, content) {
+    const meta = content?.metaTags
+      ?.filter(tag => ['robots', 'googlebot'].includes(tag.name?.toLowerCase()))
+      .map(tag => tag.content || '') || [];
+    return [...meta, record.robotsHeader || ''].some(value => /\b(noindex|none)\b/i.test(value));
+  }
+
+  // Issues about the page's own canonical tags and headers
+  analyzePage(url, record, content) {
+    const issues = [];
+    const issue = (severity, message, details) => issues.push({ type: 'seo', severity, message, details, url });
+    if (!content) return issues;
+
+    const hrefs = content.canonicalHrefs || [];
+    const resolved = [...new Set((content.canonicals || []).filter(Boolean).map(href => this.normalize(href)))];
+
+    if (hrefs.length > 1) {
+      issue(resolved.length > 1 ? 'high' : 'low', 'Multiple canonical tags', resolved.length > 1
+        ? `${hrefs.length} canonical tags point to different URLs, search engines may ignore all of them: ${resolved.join(', ')}`
+        : `${hrefs.length} canonical tags with the same URL. Keep one`);
+    }
+
+    for (const href of hrefs) {
+      const value = href.trim();
+      let parsed = null;
+      try {
+        parsed = new URL(value, url);
+      } catch {
+        // Reported as malformed below
+      }
+
+      if (!value || !parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        issue('high', 'Malformed canonical URL', `Canonical "${href}" is not a valid http(s) URL`);
+      } else if (!/^https?:\/\//i.test(value)) {
+        issue('low', 'Relative canonical URL', `Canonical "${href}" is relative, use the absolute URL ${parsed.toString()}`);
+      }
+    }
+
+    const header = [...new Set(this.headerCanonicals(record).map(href => this.normalize(href)))];
+    if (header.length > 1) {
+      issue('high', 'Multiple canonical Link headers', `Link header declares ${header.length} canonicals: ${header.join(', ')}`);
+    }
+    if (header.length > 0 && resolved.length > 0 && !header.includes(resolved[0])) {
+      issue('high', 'Canonical tag conflicts with Link header',
+        `HTML canonical is ${resolved[0]}, the HTTP Link header says ${header[0]}`);
+    }
+
+    const canonical = this.getCanonical(record, content);
+    if (canonical) {
+      try {
+        const pageHost = new URL(record.finalUrl || url).hostname;
+        const canonicalHost = new URL(canonical.url).hostname;
+        if (pageHost !== canonicalHost) {
+          issue('medium', 'Cross-domain canonical',
+            `Canonical points to another host (${canonicalHost}), this page will not be indexed on ${pageHost}`);
+        }
+      } catch {
+        // Malformed canonicals are reported above
+      }
+    }
+
+    return issues;
+  }
+
+  // `requestedUrl` is what was fetched, `pageUrl` the normalized URL it ended up at
+  collectPage(requestedUrl, pageUrl, record, content) {
+    const requested = this.normalize(requestedUrl);
+    if (requested !== pageUrl && record.redirects.length > 0) {
+      this.pages.set(requested, {
+        status: record.redirects[0].status,
+        redirectsTo: record.finalUrl ? pageUrl : null,
+        noindex: false,
+        canonical: null
+      });
+    }
+
+    const canonical = this.getCanonical(record, content);
+    this.pages.set(pageUrl, {
+      status: record.status,
+      redirectsTo: null,
+      noindex: this.isNoindex(record, content),
+      canonical: canonical ? this.normalize(canonical.url) : null,
+      source: canonical?.source || null
+    });
+  }
+
+  // Canonical targets that weren't crawled (beyond maxPages or depth, or not linked at all)
+  uncrawledTargets() {
+    return [...new Set(this.canonicalized().map(([, canonical]) => canonical))]
+      .filter(canonical => !this.pages.has(canonical))
+      .slice(0, this.maxTargetFetches);
+  }
+
+  // A target fetched outside the crawl: known for checking canonicals, not reported as a page
+  collectTarget(requestedUrl, pageUrl, record, content) {
+    const known = new Set(this.pages.keys());
+    this.collectPage(requestedUrl, pageUrl, record, content);
+
+    for (const [url, info] of this.pages) {
+      if (!known.has(url)) info.target = true;
+    }
+  }
+
+  // Crawled pages whose canonical points elsewhere, as [page, canonical] pairs
+  canonicalized() {
+    return [...this.pages]
+      .filter(([page, info]) => !info.target && info.canonical && info.canonical !== page)
+      .map(([page, info]) => [page, info.canonical]);
+  }
+
+  // Follows canonicals from `start` until a page that is its own canonical (or wasn't crawled)
+  chain(start) {
+    const chain = [start];
+    let current = this.pages.get(start)?.canonical;
+
+    while (current && current !== chain[chain.length - 1] && chain.length <= this.maxChain) {
+      if (chain.includes(current)) return { chain: [...chain, current], loop: true };
+      chain.push(current);
+      current = this.pages.get(current)?.canonical;
+    }
+
+    return { chain, loop: false };
+  }
+
+  // Site-level issues; `robots` checks targets that couldn't be fetched, `inbound` are link graph inlinks
+  async toIssues(robots, inbound = new Map()) {
+    const issues = [];
+    const issue = (url, severity, message, details) => issues.push({ type: 'seo', severity, message, details, url });
+
+    for (const [page, canonical] of this.canonicalized()) {
+      const target = this.pages.get(canonical);
+
+      // Other sites' canonicals aren't fetched; only our own robots.txt is checked for them
+      if (!target) {
+        if (new URL(canonical).origin === new URL(page).origin && !(await robots.isAllowed(canonical))) {
+          issue(page, 'high', 'Canonical points to URL blocked by robots.txt',
+            `${canonical} is disallowed, search engines can't confirm the canonical`);
+        }
+        continue;
+      }
+
+      if (target.redirectsTo) {
+        issue(page, 'high', 'Canonical points to a redirect', `${canonical} redirects to ${target.redirectsTo}`);
+      } else if (target.status !== 200) {
+        issue(page, 'high', 'Canonical points to non-200 URL', `${canonical} responded with HTTP ${target.status ?? 'error'}`);
+      } else if (target.noindex) {
+        issue(page, 'high', 'Canonical points to noindex URL',
+          `${canonical} is noindex, so neither page may be indexed`);
+      }
+
+      if (target.canonical && target.canonical !== canonical) {
+        const { chain, loop } = this.chain(page);
+        issue(page, loop ? 'high' : 'medium', loop ? 'Canonical loop' : 'Canonical chain', loop
+          ? `Canonicals never resolve: ${chain.join(' → ')}`
+          : `${chain.join(' → ')}. Point the canonical directly at the final URL`);
+      }
+    }
+
+    // Internal links should go to the canonical version, not to the pages pointing at it
+    for (const [page, canonical] of this.canonicalized()) {
+      if (!inbound.has(canonical)) continue;
+
+      const linked = inbound.get(page) || 0;
+      const linkedCanonical = inbound.get(canonical);
+      if (linked >= this.minInlinks && linked > linkedCanonical) {
+        issue(page, 'medium', 'Internal links favour non-canonical URL',
+          `${linked} pages link here but only ${linkedCanonical} to the canonical ${canonical}. Update internal links`);
+      }
+    }
+
+    return issues;
+  }
+
+  summarize() {
+    const pages = [...this.pages].filter(([, info]) => !info.redirectsTo && !info.target);
+
+    return {
+      pages: pages.length,
+      withCanonical: pages.filter(([, info]) => info.canonical).length,
+      selfCanonical: pages.filter(([page, info]) => info.canonical === page).length,
+      canonicalized: this.canonicalized().length,
+      fromHeader: pages.filter(([, info]) => info.source === 'header').length
+    };
+  }
+
+  getState() {
+    return [...this.pages];
+  }
+
+  restoreState(state) {
+    this.pages = new Map(state);
+  }
+}
+
+module.exports = CanonicalValidator;
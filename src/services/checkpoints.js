@@ -0,0 +1,30 @@
+const redis = require('../utils/redis');
+
+class CheckpointStore {
+  constructor() {
+    this.redis = redis;
+    this.prefix = 'crawl_checkpoint';
+
+    // A crawl that can't be resumed within a day is better restarted
+    this.ttl = 86400;
+  }
+
+  async save(jobId, state) {
+    const checkpoint = { ...state, savedAt: new Date().toISOString() };
+    await this.redis.set(`${this.prefix}:${jobId}`, JSON.stringify(checkpoint), { ex: this.ttl });
+    return checkpoint;
+  }
+
+  async load(jobId) {
+    const checkpoint = await this.redis.get(`${this.prefix}:${jobId}`);
+    if (!checkpoint) return null;
+
+    return typeof checkpoint === 'string' ? JSON.parse(checkpoint) : checkpoint;
+  }
+
+  async clear(jobId) {
+    await this.redis.del(`${this.prefix}:${jobId}`);
+  }
+}
+
+module.exports = CheckpointStore;
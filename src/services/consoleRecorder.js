@@ -0,0 +1,176 @@
+// Analytics, ads and chat widgets that log errors on most sites and aren't the site's to fix
+const DEFAULT_ALLOWLIST = [
+  'google-analytics.com',
+  'googletagmanager.com',
+  'doubleclick.net',
+  'googlesyndication.com',
+  'facebook.net',
+  'facebook.com',
+  'hotjar.com',
+  'clarity.ms',
+  'intercom.io',
+  'hs-analytics.net',
+  'sentry.io'
+];
+
+// Severity and message per kind of finding
+const KINDS = {
+  pageerror: { severity: 'high', message: 'JavaScript runtime error' },
+  console: { severity: 'medium', message: 'Console error' },
+  warning: { severity: 'low', message: 'Console warning' },
+  requestfailed: { severity: 'medium', message: 'Failed request' },
+  httpError: { severity: 'medium', message: 'Resource returned HTTP error' }
+};
+
+// Collects uncaught exceptions, console errors/warnings and failed subresource requests
+// while a page loads in the browser
+class ConsoleRecorder {
+  constructor(options = {}) {
+    this.allowlist = [...DEFAULT_ALLOWLIST, ...(options.errorAllowlist || [])]
+      .map(domain => domain.toLowerCase().replace(/^\*?\./, ''));
+    // Findings kept per page; the same error repeated is counted, not listed again
+    this.maxFindings = 50;
+  }
+
+  start(page) {
+    const findings = new Map();
+    const record = finding => {
+      if (this.isAllowlisted(finding.url)) return;
+
+      const key = [finding.kind, finding.text, finding.url].join('|');
+      if (findings.has(key)) {
+        findings.get(key).count++;
+      } else if (findings.size < this.maxFindings) {
+        findings.set(key, { ...finding, count: 1 });
+      }
+    };
+
+    const onPageError = error => {
+      const stack = error.stack || null;
+      record({
+        kind: 'pageerror',
+        text: error.message || String(error),
+        stack,
+        url: this.firstUrl(stack),
+        resourceType: 'script'
+      });
+    };
+    const onConsole = message => {
+      const type = message.type();
+      if (type !== 'error' && type !== 'warning' && type !== 'warn') return;
+
+      // Failed resources are reported from the network events with their type
+      const text = message.text();
+      if (text.startsWith('Failed to load resource')) return;
+
+      const location = message.location() || {};
+      record({
+        kind: type === 'error' ? 'console' : 'warning',
+        text,
+        stack: null,
+        url: location.url || null,
+        line: location.lineNumber ?? null,
+        resourceType: 'script'
+      });
+    };
+    const onRequestFailed = request => {
+      const errorText = request.failure()?.errorText || 'unknown error';
+      // Aborted requests are cancelled by the page itself (navigations, superseded fetches)
+      if (errorText.includes('ERR_ABORTED')) return;
+
+      record({
+        kind: 'requestfailed',
+        text: errorText,
+        stack: null,
+        url: request.url(),
+        resourceType: request.resourceType()
+      });
+    };
+    const onResponse = response => {
+      const request = response.request();
+      // The document's own status is reported by the response analyzer
+      if (response.status() < 400 || (request.isNavigationRequest() && request.frame() === page.mainFrame())) return;
+
+      record({
+        kind: 'httpError',
+        text: `HTTP ${response.status()}`,
+        stack: null,
+        url: response.url(),
+        resourceType: request.resourceType(),
+        status: response.status()
+      });
+    };
+
+    page.on('pageerror', onPageError);
+    page.on('console', onConsole);
+    page.on('requestfailed', onRequestFailed);
+    page.on('response', onResponse);
+
+    return {
+      // Pooled pages are reused, so listeners must not outlive the load
+      stop: () => {
+        page.off('pageerror', onPageError);
+        page.off('console', onConsole);
+        page.off('requestfailed', onRequestFailed);
+        page.off('response', onResponse);
+        return [...findings.values()];
+      }
+    };
+  }
+
+  isAllowlisted(url) {
+    if (!url) return false;
+
+    try {
+      const host = new URL(url).hostname.toLowerCase();
+      return this.allowlist.some(domain => host === domain || host.endsWith('.' + domain));
+    } catch {
+      return false;
+    }
+  }
+
+  // Exceptions carry their source only in the stack trace
+  firstUrl(stack) {
+    return stack?.match(/https?:\/\/[^\s)]+?(?=:\d+:\d+|\)|\s|$)/)?.[0] || null;
+  }
+
+  summarize(findings) {
+    const count = kind => findings
+      .filter(finding => finding.kind === kind)
+      .reduce((sum, finding) => sum + finding.count, 0);
+
+    return {
+      jsErrors: count('pageerror'),
+      consoleErrors: count('console'),
+      consoleWarnings: count('warning'),
+      resourceErrors: count('requestfailed') + count('httpError')
+    };
+  }
+
+  toIssues(url, findings) {
+    return findings.map(finding => {
+      const { severity, message } = KINDS[finding.kind];
+      const location = finding.line !== undefined && finding.line !== null ? `${finding.url}:${finding.line}` : finding.url;
+      const source = location ? ` (${location})` : '';
+      const repeated = finding.count > 1 ? ` [${finding.count} times]` : '';
+
+      return {
+        type: 'technical',
+        severity,
+        message,
+        details: finding.kind === 'requestfailed' || finding.kind === 'httpError'
+          ? `${finding.text} for ${finding.resourceType} ${finding.url}${repeated}`
+          : `${finding.text}${source}${repeated}`,
+        ...(finding.stack && { stack: finding.stack }),
+        resourceUrl: finding.url,
+        subject: finding.text,
+        resourceType: finding.resourceType,
+        url
+      };
+    });
+  }
+}
+
+ConsoleRecorder.defaultAllowlist = DEFAULT_ALLOWLIST;
+
+module.exports = ConsoleRecorder;
@@ -0,0 +1,86 @@
+const CrawlReport = require('./crawlReport');
+
+// Compares two completed crawls of the same site
+class CrawlDiff {
+  constructor() {
+    this.report = new CrawlReport();
+    // Issues listed per bucket; counts always cover everything
+    this.maxListed = 500;
+  }
+
+  compare(base, current) {
+    const baseIssues = this.indexIssues(base);
+    const currentIssues = this.indexIssues(current);
+
+    const added = [...currentIssues].filter(([fingerprint]) => !baseIssues.has(fingerprint)).map(([, issue]) => issue);
+    const resolved = [...baseIssues].filter(([fingerprint]) => !currentIssues.has(fingerprint)).map(([, issue]) => issue);
+    const persisting = [...currentIssues].filter(([fingerprint]) => baseIssues.has(fingerprint)).map(([, issue]) => issue);
+
+    const basePages = new Set((base.pages || []).map(page => page.url));
+    const currentPages = new Set((current.pages || []).map(page => page.url));
+
+    return {
+      base: this.describe(base),
+      current: this.describe(current),
+      issues: {
+        counts: { new: added.length, resolved: resolved.length, persisting: persisting.length },
+        new: this.sortBySeverity(added).slice(0, this.maxListed),
+        resolved: this.sortBySeverity(resolved).slice(0, this.maxListed),
+        persisting: this.sortBySeverity(persisting).slice(0, this.maxListed)
+      },
+      pages: {
+        added: [...currentPages].filter(url => !basePages.has(url)),
+        removed: [...basePages].filter(url => !currentPages.has(url))
+      },
+      healthScore: this.compareHealth([...baseIssues.values()], [...currentIssues.values()])
+    };
+  }
+
+  // Results from before fingerprints existed get them computed here. Issues sharing a
+  // fingerprint are distinct instances, so a second one on a page still shows up as new.
+  indexIssues(result) {
+    const issues = this.report.withFingerprints(this.report.allIssues(result));
+    const seen = new Map();
+
+    return new Map(issues.map(issue => {
+      const count = (seen.get(issue.fingerprint) || 0) + 1;
+      seen.set(issue.fingerprint, count);
+      return [count > 1 ? `${issue.fingerprint}#${count}` : issue.fingerprint, issue];
+    }));
+  }
+
+  describe(result) {
+    return {
+      jobId: result.jobId,
+      url: result.url,
+      endTime: result.endTime,
+      pagesChecked: result.pagesChecked
+    };
+  }
+
+  sortBySeverity(issues) {
+    const order = { critical: 0, high: 1, medium: 2, low: 3 };
+    return [...issues].sort((a, b) => (order[a.severity] ?? 4) - (order[b.severity] ?? 4));
+  }
+
+  // Overall and per-category (issue type) health scores of both crawls
+  compareHealth(baseIssues, currentIssues) {
+    const score = (base, current) => {
+      const before = Math.round(this.report.healthScore(base));
+      const after = Math.round(this.report.healthScore(current));
+      return { base: before, current: after, delta: after - before };
+    };
+    const ofType = (issues, type) => issues.filter(issue => issue.type === type);
+    const types = [...new Set([...baseIssues, ...currentIssues].map(issue => issue.type))];
+
+    return {
+      overall: score(baseIssues, currentIssues),
+      categories: Object.fromEntries(types.map(type => [
+        type,
+        score(ofType(baseIssues, type), ofType(currentIssues, type))
+      ]))
+    };
+  }
+}
+
+module.exports = CrawlDiff;
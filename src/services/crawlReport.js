@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const WebVitals = require('./webVitals');
+
+// Builds per-page results and the site-level summary of a crawl
+class CrawlReport {
+  constructor() {
+    this.percentiles = [50, 75, 90, 95];
+    // Outlinks kept per page; pages with huge navigations would otherwise bloat results
+    this.maxOutlinks = 500;
+  }
+
+  // One page of the result: everything the crawler learned about a single URL
+  buildPage({
+    url, depth, source, record, issues, metrics, content, network, screenshots, vitals, rendering, structuredData, crawlTime, isInternal
+  }) {
+    const { status = null, finalUrl = null, redirects = [], redirectTime = 0, ...rest } = record;
+
+    return {
+      url,
+      status,
+      finalUrl,
+      depth,
+      source,
+      redirects,
+      ...rest,
+      timings: {
+        redirectTime,
+        crawlTime,
+        ...this.pick(metrics.performance, ['ttfb', 'fcp', 'loadTime'])
+      },
+      metrics,
+      issues: this.withFingerprints(issues),
+      vitals: vitals || null,
+      rendering: rendering || null,
+      structuredData: structuredData || null,
+      network: network || null,
+      screenshots: screenshots || [],
+      outlinks: this.getOutlinks(content, isInternal)
+    };
+  }
+
+  getOutlinks(content, isInternal) {
+    const outlinks = new Map();
+
+    for (const link of content?.links || []) {
+      if (!link.href || !link.href.startsWith('http') || outlinks.has(link.href)) continue;
+      if (outlinks.size >= this.maxOutlinks) break;
+
+      outlinks.set(link.href, {
+        url: link.href,
+        text: link.text || '',
+        internal: isInternal(link.href),
+        nofollow: Boolean(link.nofollow)
+      });
+    }
+
+    return [...outlinks.values()];
+  }
+
+  pick(values = {}, keys) {
+    return Object.fromEntries(keys.filter(key => typeof values[key] === 'number').map(key => [key, values[key]]));
+  }
+
+  // Site-level aggregates across all crawled pages
+  summarize(pages, siteIssues = []) {
+    const issues = [...pages.flatMap(page => page.issues || []), ...siteIssues];
+    const statuses = {};
+    for (const page of pages) {
+      const key = page.status === null ? 'none' : String(page.status);
+      statuses[key] = (statuses[key] || 0) + 1;
+    }
+
+    return {
+      pages: pages.length,
+      statuses,
+      issues: {
+        total: issues.length,
+        pagesWithIssues: pages.filter(page => page.issues?.length > 0).length,
+        bySeverity: this.countBy(issues, 'severity'),
+        byType: this.countBy(issues, 'type'),
+        top: this.topIssues(issues)
+      },
+      timings: this.aggregate(pages.map(page => page.timings || {})),
+      vitals: this.summarizeVitals(pages),
+      metrics: Object.fromEntries(
+        ['performance', 'seo', 'accessibility', 'technical'].map(category => [
+          category,
+          this.aggregate(pages.map(page => page.metrics?.[category] || {}))
+        ])
+      )
+    };
+  }
+
+  // Core Web Vitals are assessed at the 75th percentile; ratings are counted per page
+  summarizeVitals(pages) {
+    const summary = {};
+
+    for (const metric of Object.keys(WebVitals.thresholds)) {
+      const measured = pages.map(page => page.vitals?.[metric]).filter(Boolean);
+      if (measured.length === 0) continue;
+
+      const p75 = this.percentile(measured.map(vital => vital.value).sort((a, b) => a - b), 75);
+      const ratings = this.countBy(measured, 'rating');
+      summary[metric] = {
+        p75,
+        rating: WebVitals.rate(metric, p75),
+        good: ratings.good || 0,
+        needsImprovement: ratings['needs-improvement'] || 0,
+        poor: ratings.poor || 0
+      };
+    }
+
+    return summary;
+  }
+
+  countBy(issues, field) {
+    return issues.reduce((acc, issue) => {
+      acc[issue[field]] = (acc[issue[field]] || 0) + 1;
+      return acc;
+    }, {});
+  }
+
+  // Most frequent issues, counted by the number of affected pages
+  topIssues(issues, limit = 10) {
+    const byMessage = new Map();
+    for (const issue of issues) {
+      if (!byMessage.has(issue.message)) {
+        byMessage.set(issue.message, { message: issue.message, severity: issue.severity, type: issue.type, urls: new Set() });
+      }
+      byMessage.get(issue.message).urls.add(issue.url);
+    }
+
+    return [...byMessage.values()]
+      .map(({ urls, ...issue }) => ({ ...issue, pages: urls.size }))
+      .sort((a, b) => b.pages - a.pages)
+      .slice(0, limit);
+  }
+
+  // Average, min, max and percentiles of every numeric field found in the samples
+  aggregate(samples) {
+    const values = {};
+    for (const sample of samples) {
+      for (const [key, value] of Object.entries(sample)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+        (values[key] = values[key] || []).push(value);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(values).map(([key, list]) => {
+      const sorted = list.sort((a, b) => a - b);
+      const stats = {
+        count: sorted.length,
+        avg: this.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        min: sorted[0],
+        max: sorted[sorted.length - 1]
+      };
+      for (const percentile of this.percentiles) {
+        stats[`p${percentile}`] = this.percentile(sorted, percentile);
+      }
+      return [key, stats];
+    }));
+  }
+
+  // Nearest-rank percentile of an ascending list
+  percentile(sorted, percentile) {
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Identifies an issue across crawls. `details` is left out on purpose, it often embeds
+  // counts and sizes that change from run to run. Issues that can occur several times on a
+  // page (console errors, images, structured data items) carry the resource or subject they
+  // are about; it is only appended when set, so other fingerprints stay stable.
+  fingerprint(issue) {
+    const parts = [issue.type, issue.message, issue.url || ''];
+    const discriminator = [issue.resourceUrl, issue.subject].filter(Boolean).join('|');
+    if (discriminator) parts.push(discriminator);
+
+    return crypto
+      .createHash('sha1')
+      .update(parts.join('|'))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  withFingerprints(issues) {
+    return issues.map(issue => (issue.fingerprint ? issue : { ...issue, fingerprint: this.fingerprint(issue) }));
+  }
+
+  // 0-100, lower as the average issue severity goes up
+  healthScore(issues) {
+    const weights = { low: 1, medium: 2, high: 3, critical: 5 };
+    const totalIssues = issues.length;
+    if (totalIssues === 0) return 100;
+
+    const weightedSum = issues.reduce((sum, issue) => {
+      return sum + (weights[issue.severity] || 1);
+    }, 0);
+
+    return Math.max(0, Math.min(100, 100 - (weightedSum / totalIssues) * 10));
+  }
+
+  // Every issue of a result, page-level and site-level
+  allIssues(result) {
+    return [
+      ...(result.pages || []).flatMap(page => page.issues || []),
+      ...(result.siteIssues || [])
+    ];
+  }
+
+  // The parts of a result later crawls are compared against, small enough to keep
+  // after the job record has expired
+  snapshot(result) {
+    const slim = issues => this.withFingerprints(issues)
+      .map(({ type, severity, message, details, url, fingerprint }) => ({ type, severity, message, details, url, fingerprint }));
+
+    return {
+      jobId: result.jobId,
+      url: result.url,
+      endTime: result.endTime,
+      pagesChecked: result.pagesChecked,
+      pages: (result.pages || []).map(page => ({ url: page.url, issues: slim(page.issues || []) })),
+      siteIssues: slim(result.siteIssues || [])
+    };
+  }
+}
+
+module.exports = CrawlReport;
@@ -1,17 +1,52 @@
 const puppeteer = require('puppeteer');
-const robotsParser = require('robots-parser');
 const WebhookService = require('./webhook');
 const CreditService = require('./credits');
 const SEOValidator = require('./seoValidator');
+const CrawlFrontier = require('./frontier');
+const RobotsService = require('./robots');
+const SitemapService = require('./sitemap');
+const PagePool = require('./pagePool');
+const HostThrottle = require('./hostThrottle');
+const RateLimiter = require('./rateLimiter');
+const ResponseAnalyzer = require('./responseAnalyzer');
+const LinkChecker = require('./linkChecker');
+const CheckpointStore = require('./checkpoints');
+const CrawlAuth = require('./auth');
+const DeviceProfiles = require('./devices');
+const DuplicateDetector = require('./duplicates');
+const LinkGraph = require('./linkGraph');
+const ArtifactStore = require('./artifacts');
+const CrawlReport = require('./crawlReport');
+const NetworkRecorder = require('./networkRecorder');
+const ScreenshotService = require('./screenshots');
+const ConsoleRecorder = require('./consoleRecorder');
+const WebVitals = require('./webVitals');
+const RenderDiff = require('./renderDiff');
+const HreflangValidator = require('./hreflang');
+const CanonicalValidator = require('./canonicals');
+const StructuredDataValidator = require('./structuredData');
+const { validateCrawlOptions } = require('../utils/crawlOptions');
 const { v4: uuidv4 } = require('uuid');
 
 class CrawlerService {
   constructor() {
     this.browser = null;
-    this.visitedUrls = new Set();
     this.webhookService = new WebhookService();
     this.creditService = new CreditService();
     this.seoValidator = new SEOValidator();
+    this.rateLimiter = new RateLimiter();
+    this.checkpoints = new CheckpointStore();
+    this.artifacts = new ArtifactStore();
+    this.report = new CrawlReport();
+    this.renderDiff = new RenderDiff();
+    this.structuredData = new StructuredDataValidator();
+
+    this.limits = {
+      concurrency: 3,
+      maxConcurrency: 10,
+      checkpointEvery: 10, // pages between checkpoints
+      hostDelay: 250 // ms between request starts on the same host
+    };
   }
 
   async initialize() {
@@ -21,147 +56,471 @@ class CrawlerService {
     });
   }
 
-  async crawl(request) {
+  async crawl(request, hooks = {}) {
     if (!request.userId) {
       throw new Error('User ID is required');
     }
 
-    // Check credit balance and reserve credits
-    const estimatedCost = this.creditService.calculateCrawlCost(1, request.depth || 1, 
-      (request.options?.customChecks || []).length);
-    
-    const operationId = uuidv4();
-    await this.creditService.reserveCredits(request.userId, estimatedCost, operationId);
+    // Validate options first so invalid ones fail before credits are reserved
+    validateCrawlOptions(request.url, request.depth || 1, request.options);
+    const mode = request.options?.mode || 'browser';
+    const frontier = new CrawlFrontier(request.url, {
+      ...request.options,
+      depth: request.depth || 1
+    });
+
+    const jobId = request.jobId || uuidv4();
+
+    // Resuming: the previous run's reservation is refunded and replaced by a new one
+    const checkpoint = hooks.resume ? await this.checkpoints.load(jobId) : null;
+    if (hooks.resume && !checkpoint) {
+      throw new Error('No checkpoint to resume from');
+    }
+    if (checkpoint) {
+      await this.creditService.releaseReservation(checkpoint.operationId, false).catch(() => {});
+    }
+
+    // Check credit balance and reserve credits. Scheduled runs arrive with a reservation
+    // made when they were queued, unless it was already refunded by a resume above.
+    let operationId = request.reservationId;
+    if (!operationId || checkpoint) {
+      const estimatedCost = this.creditService.calculateCrawlCost(1, request.depth || 1, 
+        (request.options?.customChecks || []).length, mode);
+
+      operationId = uuidv4();
+      await this.creditService.reserveCredits(request.userId, estimatedCost, operationId);
+    }
 
-    if (!this.browser) {
+    // Static mode fetches HTML over plain HTTP and never launches Chromium
+    if (mode === 'browser' && !this.browser) {
       await this.initialize();
     }
 
     const startTime = new Date();
-    const issues = [];
-    let pagesChecked = 0;
+    const auth = new CrawlAuth(request.options?.auth, request.url);
+    const context = {
+      mode,
+      frontier,
+      auth,
+      devices: new DeviceProfiles(request.options),
+      robots: new RobotsService(request.options, auth),
+      throttle: this.createHostThrottle(request.options),
+      responseAnalyzer: new ResponseAnalyzer(request.options),
+      duplicates: new DuplicateDetector(request.options),
+      linkGraph: new LinkGraph(frontier.startUrl),
+      hreflang: new HreflangValidator(frontier.normalizer),
+      canonicals: new CanonicalValidator(frontier.normalizer),
+      network: new NetworkRecorder(request.options),
+      errors: new ConsoleRecorder(request.options),
+      vitals: new WebVitals(request.options),
+      // HAR pages since the last checkpoint; earlier ones are stored as artifact parts
+      harPages: [],
+      harParts: 0,
+      screenshots: new ScreenshotService(request.options),
+      pages: [],
+      // Pages up to pagesSaved are stored as artifact parts, written at checkpoints
+      pageParts: 0,
+      pagesSaved: 0,
+      linkSources: new Map(),
+      // Site-level issues; page issues live on each page result
+      issues: [],
+      skippedUrls: [],
+      brokenLinks: null,
+      pagesChecked: 0,
+      creditsCharged: 0,
+      request,
+      jobId,
+      operationId,
+      // Only queued jobs are checkpointed, they are the ones that can be resumed
+      checkpointEvery: request.jobId
+        ? Math.max(1, parseInt(request.options?.checkpointEvery) || this.limits.checkpointEvery)
+        : 0,
+      lastCheckpointAt: 0,
+      inFlight: new Map(),
+      startTime: startTime.getTime(),
+      onProgress: hooks.onProgress
+    };
 
-    try {
-      const robotsTxt = await this.fetchRobotsTxt(request.url);
-      const page = await this.browser.newPage();
-      
-      await page.setUserAgent('LovableCrawler/1.0');
-      
-      await this.crawlPage(page, request.url, {
-        depth: request.depth || 1,
-        issues,
-        robotsTxt,
-        pagesChecked,
-        request,
-        startTime: startTime.getTime()
+    if (request.options?.checkLinks) {
+      context.linkChecker = new LinkChecker({
+        ...request.options,
+        userAgent: context.robots.userAgent,
+        auth,
+        throttle: context.throttle,
+        robots: context.robots,
+        normalizer: frontier.normalizer
       });
+    }
+
+    const concurrency = this.getConcurrency(request.options);
+    const pool = mode === 'browser'
+      ? new PagePool(this.browser, concurrency, page => auth.applyToPage(page))
+      : null;
+
+    let reservationReleased = false;
+    try {
+      // Inside the try, so a checkpoint whose page parts expired releases the new reservation
+      if (checkpoint) {
+        await this.restoreCheckpoint(context, checkpoint);
+      }
 
-      await page.close();
+      if (auth.login) {
+        await this.login(pool, context);
+      }
+
+      if (request.options?.sitemaps && !checkpoint) {
+        context.sitemap = await this.collectSitemaps(request.url, context);
+      }
+
+      await this.runWorkers(concurrency, pool, context);
+      await pool?.close();
+
+      context.issues.push(...context.responseAnalyzer.analyzeLinksToRedirects(context.pages, context.linkSources));
+
+      if (context.linkChecker) {
+        context.brokenLinks = await context.linkChecker.check();
+        context.issues.push(...context.linkChecker.toIssues(context.brokenLinks));
+      }
+
+      const duplicates = context.duplicates.findClusters();
+      context.issues.push(...context.duplicates.toIssues(duplicates));
+      context.issues.push(...context.linkGraph.toIssues());
+
+      // Sitemap annotations count as much as on-page ones; clusters span everything collected
+      context.hreflang.collectSitemap(context.sitemap?.entries);
+      const hreflangClusters = context.hreflang.findClusters();
+      context.issues.push(...context.hreflang.toIssues(hreflangClusters));
+
+      await this.fetchCanonicalTargets(context);
+      context.issues.push(...(await context.canonicals.toIssues(context.robots, context.linkGraph.inboundCounts())));
+
+      // The full graph and HAR can be large, so results only carry per-page metrics and summaries
+      const linkMetrics = context.linkGraph.analyze();
+      if (request.jobId) {
+        await this.artifacts.save(jobId, 'link-graph', context.linkGraph.getState()).catch(error => {
+          console.warn('Failed to store link graph:', error.message);
+        });
+
+        if (request.options?.har) {
+          await this.saveHar(context).catch(error => {
+            console.warn('Failed to store HAR:', error.message);
+          });
+        }
+      }
+
+      // Each page is listed once under its normalized URL, with the raw URLs that led to it
+      const pages = context.pages.map(page => ({
+        ...page,
+        variants: frontier.getVariants(page.url),
+        ...linkMetrics.get(page.url)
+      }));
 
       const result = {
-        jobId: uuidv4(),
+        jobId,
         url: request.url,
         status: 'completed',
         startTime,
         endTime: new Date(),
-        pagesChecked,
-        issues,
-        creditsUsed: Math.ceil(pagesChecked / 10)
+        pagesChecked: context.pagesChecked,
+        summary: this.report.summarize(pages, context.issues),
+        pages,
+        siteIssues: this.report.withFingerprints(context.issues),
+        skippedUrls: context.skippedUrls,
+        brokenLinks: context.brokenLinks,
+        duplicates,
+        linkGraph: context.linkGraph.summary(),
+        hreflang: context.hreflang.summarize(hreflangClusters),
+        canonicals: context.canonicals.summarize(),
+        sitemap: context.sitemap ? this.compareSitemapCoverage(context) : null,
+        creditsUsed: Math.ceil(context.pagesChecked / 10)
       };
 
-      // Calculate final credit cost and release reservation
-      const finalCost = this.creditService.calculateCrawlCost(pagesChecked, request.depth || 1,
-        (request.options?.customChecks || []).length);
+      if (request.jobId) {
+        await this.artifacts.save(jobId, 'snapshot', this.report.snapshot(result), this.artifacts.snapshotTtl).catch(error => {
+          console.warn('Failed to store issue snapshot:', error.message);
+        });
+      }
+
+      // Release reservation and deduct what checkpoints haven't charged yet
       await this.creditService.releaseReservation(operationId, true);
-      
-      // Deduct actual credits used
-      await this.creditService.deductCredits(request.userId, finalCost, `Crawl: ${request.url}`);
+      reservationReleased = true;
+      await this.chargeCrawledPages(context);
+      await this.checkpoints.clear(jobId);
+      await this.removePageParts(context).catch(error => {
+        console.warn('Failed to remove checkpoint page parts:', error.message);
+      });
       
       // Add credit info to result
-      result.creditsUsed = finalCost;
+      result.creditsUsed = context.creditsCharged;
       
       // Notify Lovable about completion
-      await this.webhookService.notifyCrawlComplete(result);
+      await this.notifyCrawlComplete(result);
       
       return result;
 
     } catch (error) {
       console.error('Crawl failed:', error);
+      await pool?.close();
       
-      // Release reserved credits on failure
-      if (operationId) {
+      // Release reserved credits on failure, unless the crawl already settled them
+      if (operationId && !reservationReleased) {
         await this.creditService.releaseReservation(operationId, false);
       }
       
       const result = {
-        jobId: uuidv4(),
+        jobId,
         url: request.url,
         status: 'failed',
         startTime,
         endTime: new Date(),
         error: error.message,
-        pagesChecked,
-        creditsUsed: 0 // No credits charged on failure
+        pagesChecked: context.pagesChecked,
+        // Pages charged at checkpoints stay charged and are skipped when the job resumes
+        creditsUsed: context.creditsCharged
       };
       
       // Notify about failure
-      await this.webhookService.notifyCrawlComplete(result);
+      await this.notifyCrawlComplete(result);
       
       return result;
     }
   }
 
-  async crawlPage(page, url, context) {
-    if (context.depth <= 0 || this.visitedUrls.has(url)) {
-      return;
+  // An undeliverable webhook doesn't change the outcome of the crawl; the job keeps its result
+  async notifyCrawlComplete(result) {
+    await this.webhookService.notifyCrawlComplete(result).catch(error => {
+      console.error(`Crawl webhook for job ${result.jobId} failed:`, error.message);
+    });
+  }
+
+  getConcurrency(options = {}) {
+    const concurrency = parseInt(options.concurrency) || this.limits.concurrency;
+    return Math.min(Math.max(1, concurrency), this.limits.maxConcurrency);
+  }
+
+  // Per-host politeness never exceeds the domain concurrency limit of the rate limiter
+  createHostThrottle(options = {}) {
+    const domainLimit = this.rateLimiter.limits.domain.concurrent;
+    const hostConcurrency = parseInt(options.hostConcurrency) || domainLimit;
+    const hostDelay = parseInt(options.hostDelay);
+
+    return new HostThrottle({
+      maxConcurrent: Math.min(Math.max(1, hostConcurrency), domainLimit),
+      minDelay: Math.max(this.limits.hostDelay, isNaN(hostDelay) ? 0 : hostDelay)
+    });
+  }
+
+  // Keep up to `concurrency` pages in flight; links found by running pages refill the frontier
+  async runWorkers(concurrency, pool, context) {
+    const active = new Set();
+
+    try {
+      while (true) {
+        while (active.size < concurrency) {
+          const entry = context.frontier.next();
+          if (!entry) break;
+
+          // Tracked so checkpoints can put unfinished pages back in the queue
+          context.inFlight.set(entry.url, entry);
+          const task = this.crawlPage(pool, entry, context)
+            .finally(() => active.delete(task));
+          active.add(task);
+        }
+
+        if (active.size === 0) break;
+        await Promise.race(active);
+
+        // A lost checkpoint only means a resume starts further back, it doesn't end the crawl
+        if (context.checkpointEvery && context.pagesChecked - context.lastCheckpointAt >= context.checkpointEvery) {
+          await this.saveCheckpoint(context).catch(error => {
+            console.warn('Failed to save crawl checkpoint:', error.message);
+          });
+        }
+      }
+    } finally {
+      // Pages still loading would report progress after the job was marked failed
+      await Promise.allSettled(active);
+    }
+  }
+
+  // Charge the pages crawled since the last charge; cost is computed on the running total
+  // so depth multipliers and custom check fees aren't applied twice.
+  // Every emulation profile renders the page again, so each one is billed as a page.
+  async chargeCrawledPages(context) {
+    const { request, mode } = context;
+    const billablePages = context.pagesChecked * context.devices.profiles.length;
+    const totalCost = this.creditService.calculateCrawlCost(billablePages, request.depth || 1,
+      (request.options?.customChecks || []).length, mode);
+    const due = totalCost - context.creditsCharged;
+
+    if (due > 0) {
+      await this.creditService.deductCredits(request.userId, due, `Crawl: ${request.url}`);
+      context.creditsCharged = totalCost;
+    }
+  }
+
+  async saveCheckpoint(context) {
+    context.lastCheckpointAt = context.pagesChecked;
+    await this.chargeCrawledPages(context);
+
+    // HAR pages are large, so each checkpoint stores only the new ones as an artifact part.
+    // Parts past a checkpoint that failed to save are overwritten after a resume.
+    if (context.harPages.length > 0) {
+      await this.artifacts.save(context.jobId, `har-part-${context.harParts}`, context.harPages);
+      context.harParts++;
+      context.harPages = [];
+    }
+
+    // Page results are appended the same way, so a checkpoint doesn't rewrite the whole crawl
+    if (context.pages.length > context.pagesSaved) {
+      await this.artifacts.save(context.jobId, `page-part-${context.pageParts}`, context.pages.slice(context.pagesSaved));
+      context.pageParts++;
+      context.pagesSaved = context.pages.length;
+    }
+
+    await this.checkpoints.save(context.jobId, {
+      operationId: context.operationId,
+      frontier: context.frontier.getState([...context.inFlight.values()]),
+      linkChecker: context.linkChecker ? context.linkChecker.getState() : null,
+      duplicates: context.duplicates.getState(),
+      linkGraph: context.linkGraph.getState(),
+      hreflang: context.hreflang.getState(),
+      canonicals: context.canonicals.getState(),
+      harParts: context.harParts,
+      pageParts: context.pageParts,
+      linkSources: [...context.linkSources].map(([url, sources]) => [url, [...sources]]),
+      issues: context.issues,
+      skippedUrls: context.skippedUrls,
+      sitemap: context.sitemap || null,
+      pagesChecked: context.pagesChecked,
+      creditsCharged: context.creditsCharged
+    });
+  }
+
+  // The HAR of the whole crawl: the parts written at checkpoints, then the pages since
+  async saveHar(context) {
+    const harPages = [];
+    for (let part = 0; part < context.harParts; part++) {
+      harPages.push(...((await this.artifacts.load(context.jobId, `har-part-${part}`)) || []));
+    }
+    harPages.push(...context.harPages);
+
+    await this.artifacts.save(context.jobId, 'har', context.network.buildHar(harPages));
+    for (let part = 0; part < context.harParts; part++) {
+      await this.artifacts.remove(context.jobId, `har-part-${part}`);
+    }
+  }
+
+  async removePageParts(context) {
+    for (let part = 0; part < context.pageParts; part++) {
+      await this.artifacts.remove(context.jobId, `page-part-${part}`);
+    }
+  }
+
+  async restoreCheckpoint(context, checkpoint) {
+    context.frontier.restoreState(checkpoint.frontier);
+    if (context.linkChecker && checkpoint.linkChecker) {
+      context.linkChecker.restoreState(checkpoint.linkChecker);
+    }
+    context.duplicates.restoreState(checkpoint.duplicates || []);
+    context.harParts = checkpoint.harParts || 0;
+    if (checkpoint.linkGraph) {
+      context.linkGraph.restoreState(checkpoint.linkGraph);
+    }
+    if (checkpoint.hreflang) {
+      context.hreflang.restoreState(checkpoint.hreflang);
     }
+    if (checkpoint.canonicals) {
+      context.canonicals.restoreState(checkpoint.canonicals);
+    }
+    context.linkSources = new Map(checkpoint.linkSources.map(([url, sources]) => [url, new Set(sources)]));
+    context.pageParts = checkpoint.pageParts || 0;
+    for (let part = 0; part < context.pageParts; part++) {
+      const pages = await this.artifacts.load(context.jobId, `page-part-${part}`);
+      if (!pages) throw new Error('Checkpoint page results have expired');
+      context.pages.push(...pages);
+    }
+    context.pagesSaved = context.pages.length;
+    context.issues = checkpoint.issues;
+    context.skippedUrls = checkpoint.skippedUrls;
+    context.sitemap = checkpoint.sitemap || undefined;
+    context.pagesChecked = checkpoint.pagesChecked;
+    context.creditsCharged = checkpoint.creditsCharged;
+    context.lastCheckpointAt = checkpoint.pagesChecked;
+  }
+
+  async crawlPage(pool, entry, context) {
+    const { url, fetchUrl = url, depth } = entry;
 
     try {
-      await page.goto(url, { 
-        waitUntil: ['networkidle0', 'domcontentloaded'],
-        timeout: 30000
-      });
-      
-      this.visitedUrls.add(url);
+      if (!(await context.robots.isAllowed(fetchUrl))) {
+        context.frontier.skip(url);
+        context.skippedUrls.push({ url, reason: 'blocked by robots.txt' });
+        context.inFlight.delete(url);
+        return;
+      }
+
+      const startedAt = Date.now();
+      const { record, issues, metrics, content, network, har, screenshots, vitals, rendering } = context.mode === 'static'
+        ? await this.loadStaticPage(fetchUrl, context)
+        : await this.loadBrowserPage(pool, url, context, fetchUrl);
+
       context.pagesChecked++;
+      const structuredData = content ? this.structuredData.analyze(content.schema) : null;
+      context.pages.push(this.report.buildPage({
+        url,
+        depth,
+        source: entry.source,
+        record,
+        issues: [
+          ...context.responseAnalyzer.analyzePage(url, record, content),
+          ...context.canonicals.analyzePage(url, record, content),
+          ...(structuredData ? this.structuredData.toIssues(url, structuredData) : []),
+          ...issues
+        ],
+        metrics,
+        content,
+        network,
+        screenshots,
+        vitals,
+        rendering,
+        structuredData,
+        crawlTime: Date.now() - startedAt,
+        isInternal: href => context.frontier.isInScope(href)
+      }));
+      if (har) context.harPages.push(har);
 
-      // Run comprehensive SEO validation
-      const { issues, metrics } = await this.seoValidator.validatePage(page, url);
-      context.issues.push(...issues);
-      
-      // Store metrics for the page
-      if (!context.metrics) {
-        context.metrics = {
-          performance: {},
-          seo: {},
-          accessibility: {},
-          technical: {}
-        };
+      if (context.linkChecker) {
+        context.linkChecker.recordStatus(url, record.status, record.redirectLoop ? 'Redirect loop' : null);
+        if (content) context.linkChecker.collect(record.finalUrl || url, content);
       }
-      
-      // Merge metrics
-      Object.keys(metrics).forEach(category => {
-        context.metrics[category] = {
-          ...context.metrics[category],
-          ...metrics[category]
-        };
-      });
 
-      // Find and follow links if depth allows
-      if (context.depth > 1) {
-        const links = await page.$$eval('a', elements =>
-          elements.map(el => el.href)
-            .filter(href => href && href.startsWith('http'))
-        );
-
-        for (const link of links) {
-          if (!this.visitedUrls.has(link)) {
-            await this.crawlPage(page, link, {
-              ...context,
-              depth: context.depth - 1
-            });
-          }
+      // Redirects are compared under their target, so a redirect and its target don't look duplicated
+      const { normalizer } = context.frontier;
+      const pageUrl = normalizer.normalize(record.finalUrl || url) || url;
+      if (entry.source === 'start' && record.finalUrl) {
+        context.frontier.followStartRedirect(record.finalUrl);
+      }
+      if (content) {
+        context.duplicates.collect(pageUrl, content, normalizer);
+      }
+      context.hreflang.collectPage(url, pageUrl, record, content);
+      context.canonicals.collectPage(url, pageUrl, record, content);
+      this.addToLinkGraph(context, entry, pageUrl, content);
+
+      // Queue links for the next level; the frontier applies scope, patterns and limits.
+      // Links are collected even at max depth so sitemap coverage can be compared.
+      const links = (content?.links || [])
+        .map(link => link.href)
+        .filter(href => href && href.startsWith('http'));
+
+      for (const href of links) {
+        const link = context.frontier.normalizer.normalize(href);
+        if (!context.linkSources.has(link)) {
+          context.linkSources.set(link, new Set());
         }
+        context.linkSources.get(link).add(url);
+        context.frontier.add(href, depth + 1);
       }
     } catch (error) {
       context.issues.push({
@@ -171,17 +530,303 @@ class CrawlerService {
         url
       });
     }
+
+    // Seeding waits for the start page, whose redirect can bring the sitemap's origin into scope
+    if (entry.source === 'start' && context.sitemap) {
+      this.seedFromSitemap(context);
+    }
+
+    // Results are recorded, a checkpoint taken from here on must not re-queue the page
+    context.inFlight.delete(url);
+    await this.reportProgress(context);
+  }
+
+  // Record the page, the redirect that led to it and its internal links
+  addToLinkGraph(context, entry, pageUrl, content) {
+    const { frontier, linkGraph } = context;
+    linkGraph.addPage(entry.url, entry.source);
+
+    if (pageUrl !== entry.url) {
+      if (!frontier.isInScope(pageUrl)) return;
+      linkGraph.addPage(pageUrl, 'redirect');
+      linkGraph.addLink(entry.url, pageUrl, { redirect: true });
+    }
+
+    // <meta name="robots" content="nofollow"> applies to every link on the page
+    const robots = content?.metaTags?.find(tag => tag.name?.toLowerCase() === 'robots')?.content || '';
+    const pageNofollow = /nofollow|none/i.test(robots);
+
+    for (const link of content?.links || []) {
+      const target = frontier.normalizer.normalize(link.href);
+      if (!target || !frontier.isInScope(target)) continue;
+
+      linkGraph.addLink(pageUrl, target, { text: link.text, nofollow: pageNofollow || link.nofollow });
+    }
+  }
+
+  // Session cookies live in the shared browser context, so one login covers every pooled page
+  async login(pool, context) {
+    const page = await pool.acquire();
+    try {
+      await context.devices.emulate(page, context.devices.primary, context.robots.userAgent);
+      await context.auth.performLogin(page);
+    } finally {
+      pool.release(page);
+    }
+  }
+
+  // Load the page under every emulation profile; status and redirects come from the first
+  async loadBrowserPage(pool, url, context, fetchUrl = url) {
+    const page = await pool.acquire();
+
+    try {
+      const results = {};
+      for (const profile of context.devices.profiles) {
+        const loaded = await this.loadWithProfile(page, url, context, profile, fetchUrl);
+
+        // Error pages and redirect loops aren't worth rendering on other profiles
+        if (!loaded.content) {
+          if (Object.keys(results).length === 0) return loaded;
+          continue;
+        }
+        results[profile.name] = loaded;
+      }
+
+      return this.combineDeviceResults(url, context, results);
+    } finally {
+      pool.release(page);
+    }
+  }
+
+  async loadWithProfile(page, url, context, profile, fetchUrl = url) {
+    await context.devices.emulate(page, profile, context.robots.userAgent);
+    const measurement = await context.vitals.prepare(page, profile);
+
+    // Timestamp navigation responses so redirect hops can be timed
+    const responseTimes = new Map();
+    const onResponse = response => {
+      if (response.request().isNavigationRequest()) {
+        responseTimes.set(response.url(), Date.now());
+      }
+    };
+    page.on('response', onResponse);
+    const recording = await context.network.start(page);
+    const errorRecording = context.errors.start(page);
+
+    try {
+      const release = await context.throttle.acquire(fetchUrl, await context.robots.getCrawlDelay(fetchUrl));
+      const startedAt = Date.now();
+      let response;
+      try {
+        response = await page.goto(fetchUrl, { 
+          waitUntil: ['networkidle0', 'domcontentloaded'],
+          // Throttled loads take several times longer
+          timeout: measurement.preset ? 90000 : 30000
+        });
+      } catch (error) {
+        if (!error.message.includes('ERR_TOO_MANY_REDIRECTS')) throw error;
+
+        return this.unvalidatedPage({ status: null, finalUrl: null, redirects: [], redirectTime: 0, redirectLoop: true });
+      } finally {
+        release();
+      }
+
+      const record = context.responseAnalyzer.getBrowserRecord(response, startedAt, responseTimes);
+
+      // Error pages are reported by status, running SEO rules on them is just noise
+      if (record.status >= 400) {
+        return this.unvalidatedPage(record);
+      }
+
+      // Vitals are read before the validator's own page scripts can add long tasks
+      const vitals = await measurement.collect();
+
+      // Run comprehensive SEO validation
+      const validation = await this.seoValidator.validatePage(page, url, { device: profile });
+      Object.assign(validation.metrics.performance, context.vitals.toMetrics(vitals));
+      const rendering = await this.compareWithServerHtml(response, record, validation.content);
+      const layout = context.devices.profiles.length > 1 ? await context.devices.captureLayout(page) : null;
+
+      let screenshots = [];
+      if (context.screenshots.enabled) {
+        screenshots = await context.screenshots.capturePage(page, context.jobId, url, profile.name);
+        validation.issues = await context.screenshots.captureElements(page, context.jobId, url, profile.name,
+          validation.issues);
+      }
+
+      const requests = await recording.stop();
+      const network = context.network.summarize(requests, href => context.auth.isSiteUrl(href));
+      Object.assign(validation.metrics.performance, {
+        requests: network.requests,
+        transferBytes: network.transferBytes,
+        thirdPartyShare: network.thirdPartyShare
+      });
+      const findings = errorRecording.stop();
+      Object.assign(validation.metrics.technical, context.errors.summarize(findings));
+
+      return {
+        record,
+        ...validation,
+        issues: [
+          ...validation.issues,
+          ...context.network.toIssues(url, network),
+          ...context.errors.toIssues(url, findings),
+          ...context.vitals.toIssues(url, vitals),
+          ...(rendering ? this.renderDiff.toIssues(url, rendering) : [])
+        ],
+        layout,
+        network,
+        screenshots,
+        vitals,
+        rendering,
+        har: context.request.options?.har ? context.network.toHarPage(url, url, requests) : null
+      };
+    } finally {
+      page.off('response', onResponse);
+      errorRecording.stop();
+      await measurement.stop();
+      await recording.stop();
+    }
+  }
+
+  // Diff the server's HTML (the navigation response body) against the rendered DOM
+  async compareWithServerHtml(response, record, renderedContent) {
+    if (!response || !renderedContent) return null;
+
+    const html = await response.text().catch(() => null);
+    if (!html) return null;
+
+    const rawContent = this.seoValidator.getStaticContent(html, record.finalUrl || renderedContent.url);
+    return this.renderDiff.compare(rawContent, renderedContent);
+  }
+
+  combineDeviceResults(url, context, results) {
+    const primary = Object.values(results)[0];
+    const issuesByDevice = {};
+    const layouts = {};
+
+    for (const [device, result] of Object.entries(results)) {
+      issuesByDevice[device] = result.issues;
+      layouts[device] = result.layout;
+    }
+
+    return {
+      record: { ...primary.record, devices: Object.keys(results) },
+      issues: [
+        ...context.devices.mergeIssues(issuesByDevice),
+        ...context.devices.compareLayouts(url, layouts)
+      ],
+      metrics: primary.metrics,
+      content: primary.content,
+      network: primary.network,
+      har: primary.har,
+      vitals: primary.vitals,
+      rendering: primary.rendering,
+      screenshots: Object.values(results).flatMap(result => result.screenshots)
+    };
+  }
+
+  async loadStaticPage(url, context) {
+    // The timeout covers the request only, not the wait for a host slot or Crawl-delay
+    const release = await context.throttle.acquire(url, await context.robots.getCrawlDelay(url));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 30000);
+
+    let response;
+    let record;
+    let html;
+    try {
+      ({ response, record } = await context.responseAnalyzer.fetchFollowingRedirects(url, {
+        headers: {
+          'User-Agent': context.robots.userAgent,
+          'Accept': 'text/html,application/xhtml+xml'
+        },
+        signal: controller.signal
+      }, requestUrl => context.auth.headersFor(requestUrl)));
+      html = response ? await response.text() : null;
+    } finally {
+      release();
+      clearTimeout(timer);
+    }
+
+    if (!response || record.status >= 400) {
+      return this.unvalidatedPage(record);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Unsupported content type: ${contentType || 'unknown'}`);
+    }
+
+    // Run the SEO rules that don't need a rendered DOM
+    return { record, ...(await this.seoValidator.validateHtml(html, record.finalUrl)) };
+  }
+
+  // Canonical targets the crawl didn't reach are fetched over plain HTTP, so their status,
+  // redirects and noindex are checked too. Robots-blocked and out-of-scope ones are left to toIssues.
+  async fetchCanonicalTargets(context) {
+    const { frontier, canonicals } = context;
+
+    for (const url of canonicals.uncrawledTargets()) {
+      if (!frontier.isInScope(url) || !(await context.robots.isAllowed(url))) continue;
+
+      try {
+        const { record, content } = await this.loadStaticPage(url, context);
+        const pageUrl = frontier.normalizer.normalize(record.finalUrl || url) || url;
+        canonicals.collectTarget(url, pageUrl, record, content);
+      } catch (error) {
+        console.warn(`Failed to fetch canonical target ${url}:`, error.message);
+      }
+    }
+  }
+
+  unvalidatedPage(record) {
+    return { record, issues: [], metrics: {}, content: null };
+  }
+
+  async collectSitemaps(url, context) {
+    const sitemapService = new SitemapService({ userAgent: context.robots.userAgent, auth: context.auth });
+    return sitemapService.collect(url, context.robots);
+  }
+
+  // Sitemap URLs are seeds at depth 0, still subject to scope, patterns and maxPages
+  seedFromSitemap(context) {
+    for (const entry of context.sitemap.entries) {
+      context.frontier.add(entry.loc, 0, 'sitemap');
+    }
   }
 
-  async fetchRobotsTxt(url) {
+  // Compare sitemap URLs with what internal links actually reach
+  compareSitemapCoverage(context) {
+    const { frontier, sitemap } = context;
+    const sitemapUrls = new Set(sitemap.entries.map(entry => frontier.normalizer.normalize(entry.loc)).filter(Boolean));
+
+    return {
+      sitemaps: sitemap.sitemaps,
+      errors: sitemap.errors,
+      urlCount: sitemapUrls.size,
+      // Listed in a sitemap but no crawled page links to them
+      notLinked: [...sitemapUrls].filter(url =>
+        url !== frontier.startUrl && !frontier.linkedUrls.has(url)
+      ),
+      // Crawled pages that the sitemaps don't list
+      notInSitemap: [...frontier.visitedUrls].filter(url => !sitemapUrls.has(url))
+    };
+  }
+
+  async reportProgress(context) {
+    if (!context.onProgress) return;
+
     try {
-      const robotsUrl = new URL('/robots.txt', url).toString();
-      const response = await fetch(robotsUrl);
-      const robotsTxt = await response.text();
-      return robotsParser(robotsUrl, robotsTxt);
+      await context.onProgress({
+        pagesChecked: context.pagesChecked,
+        pagesQueued: context.frontier.pending,
+        pagesSkipped: context.skippedUrls.length,
+        issuesFound: context.pages.reduce((count, page) => count + page.issues.length, context.issues.length)
+      });
     } catch (error) {
-      console.warn(`Failed to fetch robots.txt for ${url}:`, error);
-      return null;
+      // Progress reporting must never abort the crawl itself
+      console.warn('Failed to report crawl progress:', error.message);
     }
   }
 
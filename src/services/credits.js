@@ -98,9 +98,9 @@ class CreditService {
   }
 
   // Cost calculation
-  calculateCrawlCost(pages, depth = 1, customChecks = 0) {
-    // Base cost: 1 credit per page
-    let cost = pages;
+  calculateCrawlCost(pages, depth = 1, customChecks = 0, mode = 'browser') {
+    // Base cost: 1 credit per page, static (no browser) pages are half price
+    let cost = mode === 'static' ? pages * 0.5 : pages;
     
     // Deep crawl: 2x cost for each level beyond 1
     if (depth > 1) {
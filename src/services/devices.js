@@ -0,0 +1,119 @@
+const chromeVersion = '120.0.0.0';
+
+// Named emulation profiles; the crawler token is appended to each user agent
+const DEVICE_PROFILES = {
+  desktop: {
+    name: 'desktop',
+    viewport: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${chromeVersion} Safari/537.36`
+  },
+  smartphone: {
+    name: 'smartphone',
+    viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true },
+    userAgent: `Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${chromeVersion} Mobile Safari/537.36`
+  },
+  tablet: {
+    name: 'tablet',
+    viewport: { width: 810, height: 1080, deviceScaleFactor: 2, isMobile: true, hasTouch: true },
+    userAgent: `Mozilla/5.0 (Linux; Android 13; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${chromeVersion} Safari/537.36`
+  }
+};
+
+class DeviceProfiles {
+  constructor(options = {}) {
+    const names = [].concat(options.devices || 'desktop');
+    this.profiles = names.map(name => DEVICE_PROFILES[name]);
+
+    // Mobile pages showing less than this share of the desktop text are reported
+    this.hiddenContentRatio = 0.7;
+  }
+
+  get primary() {
+    return this.profiles[0];
+  }
+
+  async emulate(page, profile, crawlerToken) {
+    await page.setViewport(profile.viewport);
+    await page.setUserAgent(`${profile.userAgent} ${crawlerToken}`);
+  }
+
+  // Layout facts used to compare how the same page renders on each profile. Overflow and the
+  // viewport meta are checked per mobile profile by the validator's responsiveness rule.
+  async captureLayout(page) {
+    return page.evaluate(() => {
+      const isVisible = el => {
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none';
+      };
+      const countVisible = selector => Array.from(document.querySelectorAll(selector)).filter(isVisible).length;
+
+      return {
+        // innerText skips content hidden with CSS
+        visibleTextLength: document.body ? document.body.innerText.length : 0,
+        visibleHeadings: countVisible('h1, h2, h3'),
+        visibleLinks: countVisible('a[href]'),
+        visibleImages: countVisible('img')
+      };
+    });
+  }
+
+  // Content present on desktop but hidden on mobile profiles
+  compareLayouts(url, layouts) {
+    const desktop = layouts.desktop;
+    if (!desktop || !desktop.visibleTextLength) return [];
+
+    const issues = [];
+    for (const profile of this.profiles.filter(profile => profile.viewport.isMobile)) {
+      const mobile = layouts[profile.name];
+      if (!mobile) continue;
+
+      const textRatio = mobile.visibleTextLength / desktop.visibleTextLength;
+      const missing = ['visibleHeadings', 'visibleLinks', 'visibleImages']
+        .filter(key => mobile[key] < desktop[key])
+        .map(key => `${desktop[key] - mobile[key]} ${key.replace('visible', '').toLowerCase()}`);
+
+      if (textRatio < this.hiddenContentRatio) {
+        issues.push({
+          type: 'mobile',
+          severity: 'medium',
+          message: 'Content hidden on mobile',
+          details: `Only ${Math.round(textRatio * 100)}% of the desktop text is visible on ${profile.name}` +
+            (missing.length ? ` (missing ${missing.join(', ')})` : '') +
+            '. Search engines index the mobile version',
+          url,
+          devices: [profile.name]
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  // Collapse identical issues found on several profiles into one, listing the profiles
+  mergeIssues(issuesByDevice) {
+    const merged = new Map();
+
+    for (const [device, issues] of Object.entries(issuesByDevice)) {
+      for (const issue of issues) {
+        const key = [issue.severity, issue.type, issue.message, issue.details].join('|');
+        if (merged.has(key)) {
+          const existing = merged.get(key);
+          existing.devices.push(device);
+          // Element crops are taken per device, keep all of them
+          if (issue.screenshots) {
+            existing.screenshots = [...(existing.screenshots || []), ...issue.screenshots];
+          }
+        } else {
+          merged.set(key, { ...issue, devices: [device] });
+        }
+      }
+    }
+
+    return [...merged.values()];
+  }
+}
+
+DeviceProfiles.profiles = DEVICE_PROFILES;
+
+module.exports = DeviceProfiles;
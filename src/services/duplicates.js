@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+
+class DuplicateDetector {
+  constructor(options = {}) {
+    // SimHash similarity (share of matching fingerprint bits) above which pages are near-duplicates
+    const threshold = parseFloat(options.nearDuplicateThreshold);
+    this.threshold = Math.min(Math.max(Number.isFinite(threshold) ? threshold : 0.9, 0.75), 1);
+    this.shingleSize = 5;
+    // Fingerprints of very short texts are too noisy to compare
+    this.minWords = 50;
+
+    // normalized page URL -> { title, description, h1, textHash, fingerprint }
+    this.pages = new Map();
+  }
+
+  // Pages that declare another URL as canonical are expected duplicates and are left out
+  collect(url, content, normalizer) {
+    if (this.pages.has(url)) return;
+
+    const canonical = content.canonicals?.[0];
+    if (canonical && normalizer && normalizer.normalize(canonical) !== url) return;
+
+    const words = this.tokenize(content.textContent || '');
+    const description = content.metaTags?.find(tag => tag.name === 'description')?.content;
+    const h1 = content.headings?.find(heading => heading.level === 1)?.text;
+
+    this.pages.set(url, {
+      title: this.clean(content.title),
+      description: this.clean(description),
+      h1: this.clean(h1),
+      textHash: words.length > 0 ? this.hash(words.join(' ')).toString('hex') : null,
+      fingerprint: words.length >= this.minWords ? this.simhash(words) : null
+    });
+  }
+
+  clean(value) {
+    return value ? value.replace(/\s+/g, ' ').trim() : null;
+  }
+
+  tokenize(text) {
+    return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  hash(value) {
+    return crypto.createHash('md5').update(value).digest();
+  }
+
+  // 64-bit SimHash over word shingles, kept as two 32-bit halves in a hex string
+  simhash(words) {
+    const weights = new Array(64).fill(0);
+    const count = Math.max(1, words.length - this.shingleSize + 1);
+
+    for (let i = 0; i < count; i++) {
+      const digest = this.hash(words.slice(i, i + this.shingleSize).join(' '));
+      const halves = [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+
+      for (let bit = 0; bit < 64; bit++) {
+        const set = (halves[bit >> 5] >>> (bit & 31)) & 1;
+        weights[bit] += set ? 1 : -1;
+      }
+    }
+
+    const halves = [0, 0];
+    for (let bit = 0; bit < 64; bit++) {
+      if (weights[bit] > 0) halves[bit >> 5] |= 1 << (bit & 31);
+    }
+
+    return halves.map(half => (half >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+
+  similarity(a, b) {
+    let distance = 0;
+    for (const offset of [0, 8]) {
+      let xor = (parseInt(a.slice(offset, offset + 8), 16) ^ parseInt(b.slice(offset, offset + 8), 16)) >>> 0;
+      while (xor) {
+        distance += xor & 1;
+        xor >>>= 1;
+      }
+    }
+
+    return 1 - distance / 64;
+  }
+
+  // Pages arrive in crawl-completion order; groups are built in URL order instead so each one
+  // reports the same first URL (and issue fingerprint) from run to run
+  sortedPages() {
+    return [...this.pages].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  }
+
+  // Group pages sharing the same value of a field
+  groupBy(field) {
+    const groups = new Map();
+
+    for (const [url, page] of this.sortedPages()) {
+      if (!page[field]) continue;
+
+      const key = page[field].toLowerCase();
+      if (!groups.has(key)) groups.set(key, { value: page[field], urls: [] });
+      groups.get(key).urls.push(url);
+    }
+
+    return [...groups.values()].filter(group => group.urls.length > 1);
+  }
+
+  // Pairwise fingerprint comparison, joined into clusters with union-find.
+  // A cluster's similarity is the lowest similarity among the pairs that formed it.
+  findContentClusters() {
+    const pages = this.sortedPages().filter(([, page]) => page.textHash);
+    const parent = pages.map((page, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const pairSimilarity = new Map();
+
+    for (let i = 0; i < pages.length; i++) {
+      for (let j = i + 1; j < pages.length; j++) {
+        const [, a] = pages[i];
+        const [, b] = pages[j];
+
+        let similarity = null;
+        if (a.textHash === b.textHash) {
+          similarity = 1;
+        } else if (a.fingerprint && b.fingerprint) {
+          similarity = this.similarity(a.fingerprint, b.fingerprint);
+        }
+        if (similarity === null || similarity < this.threshold) continue;
+
+        const rootA = find(i);
+        const rootB = find(j);
+        const lowest = Math.min(similarity, pairSimilarity.get(rootA) ?? 1, pairSimilarity.get(rootB) ?? 1);
+        parent[rootB] = rootA;
+        pairSimilarity.set(rootA, lowest);
+      }
+    }
+
+    const clusters = new Map();
+    pages.forEach(([url], i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(url);
+    });
+
+    return [...clusters]
+      .filter(([, urls]) => urls.length > 1)
+      .map(([root, urls]) => ({
+        urls,
+        similarity: Math.round(pairSimilarity.get(root) * 100) / 100,
+        exact: pairSimilarity.get(root) === 1
+      }));
+  }
+
+  findClusters() {
+    return {
+      titles: this.groupBy('title'),
+      metaDescriptions: this.groupBy('description'),
+      h1s: this.groupBy('h1'),
+      content: this.findContentClusters()
+    };
+  }
+
+  toIssues(clusters) {
+    const valueIssue = (severity, label) => group => ({
+      type: 'seo',
+      severity,
+      message: `Duplicate ${label}`,
+      details: `${group.urls.length} pages share the ${label} "${group.value}"`,
+      url: group.urls[0],
+      urls: group.urls
+    });
+
+    return [
+      ...clusters.titles.map(valueIssue('medium', 'title')),
+      ...clusters.metaDescriptions.map(valueIssue('low', 'meta description')),
+      ...clusters.h1s.map(valueIssue('low', 'H1')),
+      ...clusters.content.map(cluster => ({
+        type: 'content',
+        severity: 'medium',
+        message: cluster.exact ? 'Duplicate content across pages' : 'Near-duplicate content across pages',
+        details: `${cluster.urls.length} pages have ${Math.round(cluster.similarity * 100)}% similar content. ` +
+          'Consolidate them or point them to one canonical URL',
+        url: cluster.urls[0],
+        urls: cluster.urls
+      }))
+    ];
+  }
+
+  getState() {
+    return [...this.pages];
+  }
+
+  restoreState(state) {
+    this.pages = new Map(state);
+  }
+}
+
+module.exports = DuplicateDetector;
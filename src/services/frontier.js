@@ -0,0 +1,249 @@
+const UrlNormalizer = require('./urlNormalizer');
+
+class CrawlFrontier {
+  constructor(startUrl, options = {}) {
+    const start = new URL(startUrl);
+
+    // Every URL is tracked in normalized form so variants of a page are crawled once
+    this.normalizer = new UrlNormalizer(options.normalization);
+    // normalized URL -> raw URLs (as linked) that normalized to it
+    this.variants = new Map();
+
+    this.startUrl = this.normalize(start.toString());
+    // The start URL's origin, plus the one it redirects to (see followStartRedirect)
+    this.origins = new Set([start.origin]);
+    // Subdomain scope is anchored on the registrable-ish host, ignoring a leading www.
+    this.rootHosts = new Set([this.rootHostOf(start)]);
+
+    this.maxDepth = Math.max(1, parseInt(options.depth) || 1);
+    this.maxPages = Math.min(
+      CrawlFrontier.limits.maxPages,
+      Math.max(1, parseInt(options.maxPages) || CrawlFrontier.limits.defaultPages)
+    );
+    this.scope = options.scope || 'same-origin';
+    if (!CrawlFrontier.scopes.includes(this.scope)) {
+      throw this.validationError(`Invalid scope "${this.scope}". Use one of: ${CrawlFrontier.scopes.join(', ')}`);
+    }
+
+    this.include = this.compilePatterns(options.include);
+    this.exclude = this.compilePatterns(options.exclude);
+
+    this.queue = [];
+    this.queued = new Set();
+    this.visitedUrls = new Set();
+    this.skippedUrls = new Set();
+    // Every in-scope URL found in a page's links, whether or not it was queued from there
+    this.linkedUrls = new Set();
+
+    // The start URL is always crawled, even if the patterns would filter it out
+    this.queue.push(this.createEntry(start.toString(), this.startUrl, 0, 'start'));
+    this.queued.add(this.startUrl);
+  }
+
+  // Normalize a URL and remember the raw form it was found as
+  normalize(rawUrl) {
+    const url = this.normalizer.normalize(rawUrl);
+    if (!url || url === rawUrl) return url;
+
+    if (!this.variants.has(url)) this.variants.set(url, new Set());
+    const variants = this.variants.get(url);
+    if (variants.size < CrawlFrontier.limits.maxVariants) variants.add(rawUrl);
+
+    return url;
+  }
+
+  getVariants(url) {
+    return [...(this.variants.get(url) || [])];
+  }
+
+  // Pages are fetched as first linked (minus the fragment), since rewriting the URL
+  // could hit a different response, but are tracked under the normalized URL
+  createEntry(rawUrl, url, depth, source) {
+    const fetchUrl = this.normalizer.stripFragment(rawUrl);
+    return fetchUrl === url ? { url, depth, source } : { url, fetchUrl, depth, source };
+  }
+
+  // Queue operations (breadth-first: FIFO by discovery order)
+  add(rawUrl, depth, source = 'link') {
+    const url = this.normalize(rawUrl);
+    if (!url) return false;
+
+    if (source === 'link' && this.isInScope(url)) {
+      this.linkedUrls.add(url);
+    }
+
+    if (depth >= this.maxDepth) return false;
+    if (this.queued.has(url) || this.visitedUrls.has(url) || this.skippedUrls.has(url)) return false;
+    if (!this.isInScope(url) || !this.matchesPatterns(url)) return false;
+
+    this.queue.push(this.createEntry(rawUrl, url, depth, source));
+    this.queued.add(url);
+    return true;
+  }
+
+  next() {
+    if (this.visitedUrls.size >= this.maxPages) return null;
+
+    const entry = this.queue.shift();
+    if (!entry) return null;
+
+    this.queued.delete(entry.url);
+    this.visitedUrls.add(entry.url);
+    return entry;
+  }
+
+  // Mark a dequeued URL as not crawled (e.g. blocked) so it doesn't count towards maxPages
+  skip(url) {
+    this.visitedUrls.delete(url);
+    this.skippedUrls.add(url);
+  }
+
+  // A start URL like http://example.com usually redirects to https://www.example.com; the site is
+  // what it resolves to, so that origin is in scope too and the target isn't crawled again
+  followStartRedirect(finalUrl) {
+    const url = this.normalize(finalUrl);
+    if (!url || url === this.startUrl) return;
+
+    const target = new URL(url);
+    this.origins.add(target.origin);
+    this.rootHosts.add(this.rootHostOf(target));
+    this.queued.delete(url);
+    this.queue = this.queue.filter(entry => entry.url !== url);
+    this.visitedUrls.add(url);
+  }
+
+  rootHostOf(url) {
+    return url.hostname.replace(/^www\./, '');
+  }
+
+  // Serializable state for checkpoints. Entries still being crawled go back to the
+  // front of the queue, since their results weren't recorded yet.
+  getState(inFlight = []) {
+    const inFlightUrls = new Set(inFlight.map(entry => entry.url));
+
+    return {
+      queue: [...inFlight, ...this.queue],
+      visitedUrls: [...this.visitedUrls].filter(url => !inFlightUrls.has(url)),
+      skippedUrls: [...this.skippedUrls],
+      linkedUrls: [...this.linkedUrls],
+      origins: [...this.origins],
+      rootHosts: [...this.rootHosts],
+      variants: [...this.variants].map(([url, variants]) => [url, [...variants]])
+    };
+  }
+
+  restoreState(state) {
+    this.queue = state.queue;
+    this.queued = new Set(state.queue.map(entry => entry.url));
+    this.visitedUrls = new Set(state.visitedUrls);
+    this.skippedUrls = new Set(state.skippedUrls);
+    this.linkedUrls = new Set(state.linkedUrls);
+    if (state.origins) this.origins = new Set(state.origins);
+    if (state.rootHosts) this.rootHosts = new Set(state.rootHosts);
+    this.variants = new Map((state.variants || []).map(([url, variants]) => [url, new Set(variants)]));
+  }
+
+  hasNext() {
+    return this.queue.length > 0 && this.visitedUrls.size < this.maxPages;
+  }
+
+  get pending() {
+    return this.queue.length;
+  }
+
+  // Scope rules
+  isInScope(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return false;
+    }
+
+    switch (this.scope) {
+      case 'same-origin':
+        return this.origins.has(parsed.origin);
+      case 'subdomains':
+        return [...this.rootHosts].some(host => parsed.hostname === host || parsed.hostname.endsWith('.' + host));
+      case 'any':
+        return true;
+    }
+  }
+
+  // Include/exclude patterns: an URL must match at least one include (if any) and no exclude
+  matchesPatterns(url) {
+    if (this.exclude.some(pattern => pattern.test(url))) {
+      return false;
+    }
+
+    return this.include.length === 0 || this.include.some(pattern => pattern.test(url));
+  }
+
+  compilePatterns(patterns) {
+    if (!patterns) return [];
+
+    return [].concat(patterns).map(pattern => {
+      if (typeof pattern !== 'string' || !pattern) {
+        throw this.validationError('URL patterns must be non-empty strings');
+      }
+
+      // "re:<source>" is a regular expression tested against the full URL, anything else is a glob
+      if (pattern.startsWith('re:')) {
+        try {
+          return new RegExp(pattern.slice(3));
+        } catch (error) {
+          throw this.validationError(`Invalid URL pattern ${pattern}: ${error.message}`);
+        }
+      }
+
+      return this.globToTester(pattern);
+    });
+  }
+
+  // Globs starting with "/" match the path and query, others the full URL.
+  // "**" matches anything, "*" anything but "/", "?" a single character.
+  globToTester(glob) {
+    const source = glob
+      .split('**')
+      .map(part => part
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '.'))
+      .join('.*');
+    const regex = new RegExp('^' + source + '$');
+    const matchPath = glob.startsWith('/');
+
+    return {
+      test: url => {
+        if (!matchPath) return regex.test(url);
+
+        try {
+          const parsed = new URL(url);
+          return regex.test(parsed.pathname + parsed.search);
+        } catch {
+          return false;
+        }
+      }
+    };
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+CrawlFrontier.scopes = ['same-origin', 'subdomains', 'any'];
+
+CrawlFrontier.limits = {
+  defaultPages: 100,
+  maxPages: 1000,
+  maxVariants: 20
+};
+
+module.exports = CrawlFrontier;
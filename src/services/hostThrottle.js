@@ -0,0 +1,47 @@
+class HostThrottle {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 1;
+    this.minDelay = options.minDelay || 0;
+
+    this.hosts = new Map();
+  }
+
+  getState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, nextStartAt: 0, waiters: [] });
+    }
+    return this.hosts.get(host);
+  }
+
+  // Wait for a free per-host slot and the minimum gap since the previous request start.
+  // `delay` lets callers raise the gap for this host, e.g. to honor Crawl-delay.
+  // Resolves with a release function that must be called once the request is done.
+  async acquire(url, delay = 0) {
+    const state = this.getState(new URL(url).host);
+
+    while (state.active >= this.maxConcurrent) {
+      await new Promise(resolve => state.waiters.push(resolve));
+    }
+    state.active++;
+
+    const startAt = Math.max(Date.now(), state.nextStartAt);
+    state.nextStartAt = startAt + Math.max(this.minDelay, delay);
+
+    const wait = startAt - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+
+      state.active--;
+      const waiter = state.waiters.shift();
+      if (waiter) waiter();
+    };
+  }
+}
+
+module.exports = HostThrottle;
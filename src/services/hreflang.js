@@ -0,0 +1,255 @@
+// ISO 639-1 language codes and ISO 3166-1 alpha-2 region codes, the only ones search engines accept
+const LANGUAGES = new Set((
+  'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy da de dv dz ' +
+  'ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu hy hz ia id ie ig ii ik ' +
+  'io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb lg li ln lo lt lu lv mg mh mi mk ml ' +
+  'mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd ' +
+  'se sg si sk sl sm sn so sq sr ss st su sv sw ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi ' +
+  'vo wa wo xh yi yo za zh zu'
+).split(' '));
+const REGIONS = new Set((
+  'ad ae af ag ai al am ao aq ar as at au aw ax az ba bb bd be bf bg bh bi bj bl bm bn bo bq br bs bt bv bw ' +
+  'by bz ca cc cd cf cg ch ci ck cl cm cn co cr cu cv cw cx cy cz de dj dk dm do dz ec ee eg eh er es et fi ' +
+  'fj fk fm fo fr ga gb gd ge gf gg gh gi gl gm gn gp gq gr gs gt gu gw gy hk hm hn hr ht hu id ie il im in ' +
+  'io iq ir is it je jm jo jp ke kg kh ki km kn kp kr kw ky kz la lb lc li lk lr ls lt lu lv ly ma mc md me ' +
+  'mf mg mh mk ml mm mn mo mp mq mr ms mt mu mv mw mx my mz na nc ne nf ng ni nl no np nr nu nz om pa pe pf ' +
+  'pg ph pk pl pm pn pr ps pt pw py qa re ro rs ru rw sa sb sc sd se sg sh si sj sk sl sm sn so sr ss st sv ' +
+  'sx sy sz tc td tf tg th tj tk tl tm tn to tr tt tv tw tz ua ug um us uy uz va vc ve vg vi vn vu wf ws ye ' +
+  'yt za zm zw'
+).split(' '));
+
+// Site-wide hreflang validation. Annotations from <link> tags, Link headers and sitemaps are
+// collected while crawling; pages that reference each other form a language cluster.
+class HreflangValidator {
+  constructor(normalizer) {
+    this.normalizer = normalizer;
+    // normalized page URL -> Map of "source|hreflang|target" -> { hreflang, href, target, source }
+    this.annotations = new Map();
+    // normalized page URL -> { status, redirected, canonical }
+    this.pages = new Map();
+    this.maxListed = 10;
+  }
+
+  normalize(url) {
+    return this.normalizer.normalize(url) || url;
+  }
+
+  collect(pageUrl, annotations, source) {
+    const page = this.normalize(pageUrl);
+    if (!this.annotations.has(page)) this.annotations.set(page, new Map());
+    const collected = this.annotations.get(page);
+
+    for (const { hreflang, href } of annotations) {
+      if (!hreflang || !href) continue;
+      const target = this.normalize(href);
+      collected.set([source, hreflang.toLowerCase(), target].join('|'), { hreflang, href, target, source });
+    }
+  }
+
+  // Everything the crawler learned about one page: its annotations, status and canonical.
+  // `requestedUrl` is what was fetched; when it redirected, annotations pointing at it are flagged.
+  collectPage(requestedUrl, pageUrl, record, content) {
+    const page = this.normalize(pageUrl);
+    const requested = this.normalize(requestedUrl);
+    if (requested !== page && record.redirects.length > 0) {
+      this.pages.set(requested, { status: record.redirects[0].status, redirected: true, canonical: null });
+    }
+
+    const canonical = content?.canonicals?.[0];
+    this.pages.set(page, {
+      status: record.status,
+      redirected: false,
+      canonical: canonical ? this.normalize(canonical) : null
+    });
+
+    if (content?.alternates?.length) {
+      this.collect(page, content.alternates, 'html');
+    }
+    const headerAlternates = (record.headerLinks || []).filter(link => link.rel.split(/\s+/).includes('alternate') && link.hreflang);
+    if (headerAlternates.length > 0) {
+      this.collect(page, headerAlternates, 'header');
+    }
+  }
+
+  collectSitemap(entries = []) {
+    for (const entry of entries) {
+      if (entry.alternates) this.collect(entry.loc, entry.alternates, 'sitemap');
+    }
+  }
+
+  // "en", "en-GB", "zh-Hant-TW" or "x-default"; returns a reason when the code is invalid
+  checkCode(hreflang) {
+    if (hreflang.toLowerCase() === 'x-default') return null;
+    if (hreflang.includes('_')) return 'uses "_" instead of "-"';
+
+    const match = hreflang.match(/^([a-z]+)(?:-([a-z]{4}))?(?:-([a-z]+))?$/i);
+    if (!match) return 'is not a language[-region] code';
+    if (!LANGUAGES.has(match[1].toLowerCase())) return `has unknown language "${match[1]}" (use ISO 639-1)`;
+    if (match[3] && !REGIONS.has(match[3].toLowerCase())) {
+      return `has unknown region "${match[3]}" (use ISO 3166-1 alpha-2${match[3].toLowerCase() === 'uk' ? ', e.g. GB' : ''})`;
+    }
+    return null;
+  }
+
+  // Pages connected by hreflang annotations, each with the problems found in it
+  findClusters() {
+    const parent = new Map();
+    const find = url => {
+      if (!parent.has(url)) parent.set(url, url);
+      while (parent.get(url) !== url) url = parent.get(url);
+      return url;
+    };
+
+    for (const [page, annotations] of this.annotations) {
+      if (annotations.size === 0) continue;
+      find(page);
+      for (const { target } of annotations.values()) {
+        parent.set(find(target), find(page));
+      }
+    }
+
+    const groups = new Map();
+    for (const url of parent.keys()) {
+      const root = find(url);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(url);
+    }
+
+    return [...groups.values()].map((urls, index) => this.validateCluster(index + 1, urls.sort()));
+  }
+
+  validateCluster(id, urls) {
+    const problems = {
+      invalidCodes: [],
+      conflicts: [],
+      missingSelfReference: [],
+      missingReturnLinks: [],
+      nonOkTargets: [],
+      nonCanonicalTargets: []
+    };
+    const languages = new Set();
+    let hasXDefault = false;
+
+    for (const page of urls) {
+      const annotations = [...(this.annotations.get(page)?.values() || [])];
+      if (annotations.length === 0) continue;
+
+      const byCode = new Map();
+      for (const annotation of annotations) {
+        const code = annotation.hreflang.toLowerCase();
+        languages.add(code);
+        if (code === 'x-default') hasXDefault = true;
+
+        const reason = this.checkCode(annotation.hreflang);
+        if (reason) problems.invalidCodes.push(`${page}: "${annotation.hreflang}" ${reason}`);
+
+        if (!byCode.has(code)) byCode.set(code, new Set());
+        byCode.get(code).add(annotation.target);
+      }
+
+      for (const [code, targets] of byCode) {
+        if (targets.size > 1) problems.conflicts.push(`${page}: "${code}" points to ${[...targets].join(', ')}`);
+      }
+
+      const targets = new Set(annotations.map(annotation => annotation.target));
+      if (!targets.has(page)) problems.missingSelfReference.push(page);
+
+      for (const target of targets) {
+        if (target === page) continue;
+
+        // Return links can only be checked on pages we have seen; broken targets are reported below
+        const info = this.pages.get(target);
+        const seen = info ? info.status === 200 && !info.redirected : this.annotations.has(target);
+        const returning = [...(this.annotations.get(target)?.values() || [])].some(annotation => annotation.target === page);
+        if (seen && !returning) {
+          problems.missingReturnLinks.push(`${page} -> ${target}`);
+        }
+
+        if (info && (info.status !== 200 || info.redirected)) {
+          problems.nonOkTargets.push(`${page} -> ${target} (${info.redirected ? 'redirects' : `HTTP ${info.status}`})`);
+        }
+        if (info?.canonical && info.canonical !== target) {
+          problems.nonCanonicalTargets.push(`${page} -> ${target} (canonical: ${info.canonical})`);
+        }
+      }
+    }
+
+    return {
+      id,
+      urls,
+      languages: [...languages].sort(),
+      hasXDefault,
+      problems: Object.fromEntries(Object.entries(problems).map(([key, list]) => [key, [...new Set(list)]]))
+    };
+  }
+
+  toIssues(clusters) {
+    const definitions = [
+      ['invalidCodes', 'high', 'Invalid hreflang code'],
+      ['conflicts', 'high', 'Conflicting hreflang annotations'],
+      ['missingReturnLinks', 'high', 'Missing hreflang return link'],
+      ['nonOkTargets', 'high', 'Hreflang points to non-200 URL'],
+      ['nonCanonicalTargets', 'medium', 'Hreflang points to non-canonical URL'],
+      ['missingSelfReference', 'medium', 'Missing self-referencing hreflang']
+    ];
+    const issues = [];
+
+    for (const cluster of clusters) {
+      const label = `language cluster ${cluster.id} (${cluster.languages.join(', ')})`;
+
+      for (const [key, severity, message] of definitions) {
+        const found = cluster.problems[key];
+        if (found.length === 0) continue;
+
+        issues.push({
+          type: 'international',
+          severity,
+          message,
+          details: `${found.length} in ${label}: ${found.slice(0, this.maxListed).join('; ')}`,
+          url: cluster.urls[0],
+          urls: cluster.urls,
+          cluster: cluster.id
+        });
+      }
+
+      if (!cluster.hasXDefault) {
+        issues.push({
+          type: 'international',
+          severity: 'low',
+          message: 'Missing x-default hreflang',
+          details: `No page in ${label} declares an x-default fallback`,
+          url: cluster.urls[0],
+          urls: cluster.urls,
+          cluster: cluster.id
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  // Result summary: one entry per cluster with its problem counts
+  summarize(clusters) {
+    return clusters.map(cluster => ({
+      id: cluster.id,
+      languages: cluster.languages,
+      urls: cluster.urls,
+      hasXDefault: cluster.hasXDefault,
+      problems: Object.fromEntries(Object.entries(cluster.problems).map(([key, list]) => [key, list.length]))
+    }));
+  }
+
+  getState() {
+    return {
+      annotations: [...this.annotations].map(([page, annotations]) => [page, [...annotations]]),
+      pages: [...this.pages]
+    };
+  }
+
+  restoreState(state) {
+    this.annotations = new Map((state.annotations || []).map(([page, annotations]) => [page, new Map(annotations)]));
+    this.pages = new Map(state.pages || []);
+  }
+}
+
+module.exports = HreflangValidator;
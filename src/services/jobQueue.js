@@ -0,0 +1,249 @@
+const redis = require('../utils/redis');
+const { v4: uuidv4 } = require('uuid');
+
+class JobQueue {
+  constructor() {
+    this.redis = redis;
+
+    this.keys = {
+      queue: 'crawl_jobs:queue',
+      job: 'crawl_job',
+      secrets: 'crawl_job_secrets',
+      lease: 'crawl_job_lease'
+    };
+
+    // Finished jobs are kept around for a week so clients can poll results
+    this.jobTtl = 7 * 86400;
+
+    // A running job without progress updates for this long is assumed dead
+    this.staleAfter = 5 * 60 * 1000;
+
+    // Running jobs also hold a lease, renewed by a heartbeat through phases that report no
+    // progress (link checks, site-level analysis, webhooks)
+    this.leaseTtl = 5 * 60;
+    this.heartbeatInterval = 60 * 1000;
+
+    // Crawl credentials are kept apart from the job record and expire sooner
+    this.secretsTtl = 86400;
+  }
+
+  // Job storage
+  async getJob(jobId) {
+    const job = await this.redis.get(`${this.keys.job}:${jobId}`);
+    if (!job) return null;
+
+    // Upstash deserializes JSON automatically, other clients return the raw string
+    return typeof job === 'string' ? JSON.parse(job) : job;
+  }
+
+  async saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.redis.set(`${this.keys.job}:${job.id}`, JSON.stringify(job), { ex: this.jobTtl });
+    return job;
+  }
+
+  async updateJob(jobId, updates) {
+    const job = await this.getJob(jobId);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+
+    return this.saveJob({ ...job, ...updates });
+  }
+
+  // Credentials (options.auth) never go into the job record that the status API returns
+  async saveSecrets(jobId, auth) {
+    await this.redis.set(`${this.keys.secrets}:${jobId}`, JSON.stringify(auth), { ex: this.secretsTtl });
+  }
+
+  async getSecrets(jobId) {
+    const auth = await this.redis.get(`${this.keys.secrets}:${jobId}`);
+    if (!auth) return null;
+
+    return typeof auth === 'string' ? JSON.parse(auth) : auth;
+  }
+
+  async clearSecrets(jobId) {
+    await this.redis.del(`${this.keys.secrets}:${jobId}`);
+  }
+
+  // Queue operations
+  async enqueue(request) {
+    const { auth, ...options } = request.options || {};
+    const job = {
+      id: uuidv4(),
+      state: 'queued',
+      request: { ...request, options },
+      progress: {
+        pagesChecked: 0,
+        issuesFound: 0
+      },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    if (auth) {
+      await this.saveSecrets(job.id, auth);
+    }
+    await this.saveJob(job);
+    await this.redis.lpush(this.keys.queue, job.id);
+
+    return job;
+  }
+
+  // Drop a job that is still waiting in the queue; returns null if a worker already claimed it
+  async expireQueued(jobId, error) {
+    const removed = await this.redis.lrem(this.keys.queue, 0, jobId);
+    if (!removed) return null;
+
+    return this.updateJob(jobId, {
+      state: 'failed',
+      error,
+      finishedAt: new Date().toISOString()
+    });
+  }
+
+  // Put an interrupted job back in the queue to continue from its last checkpoint
+  async requeueForResume(jobId) {
+    const job = await this.updateJob(jobId, {
+      state: 'queued',
+      resume: true,
+      resumedAt: new Date().toISOString(),
+      error: null,
+      finishedAt: null
+    });
+
+    await this.redis.lpush(this.keys.queue, job.id);
+    return job;
+  }
+
+  // Failed jobs and running jobs that stopped reporting progress and lost their lease can be resumed
+  async isResumable(job) {
+    if (job.state === 'failed') return true;
+    if (job.state !== 'running') return false;
+    if (Date.now() - new Date(job.updatedAt).getTime() <= this.staleAfter) return false;
+
+    return !(await this.redis.get(`${this.keys.lease}:${job.id}`));
+  }
+
+  // Hold the job's lease until the returned function is called
+  startHeartbeat(jobId) {
+    const key = `${this.keys.lease}:${jobId}`;
+    const renew = () => this.redis.set(key, new Date().toISOString(), { ex: this.leaseTtl }).catch(error => {
+      console.warn(`Failed to renew lease of job ${jobId}:`, error.message);
+    });
+
+    renew();
+    const timer = setInterval(renew, this.heartbeatInterval);
+
+    return async () => {
+      clearInterval(timer);
+      await this.redis.del(key).catch(() => {});
+    };
+  }
+
+  // Pop the oldest queued job, used by the standalone worker
+  async claimNextJob() {
+    const jobId = await this.redis.rpop(this.keys.queue);
+    if (!jobId) return null;
+
+    return this.markRunning(jobId);
+  }
+
+  // Claim a specific job; returns null if another worker already took it
+  async claimJob(jobId) {
+    const removed = await this.redis.lrem(this.keys.queue, 0, jobId);
+    if (!removed) return null;
+
+    return this.markRunning(jobId);
+  }
+
+  async markRunning(jobId) {
+    return this.updateJob(jobId, {
+      state: 'running',
+      startedAt: new Date().toISOString()
+    });
+  }
+
+  // Job execution
+
+  // Without a dedicated worker process (CRAWLER_EXTERNAL_WORKER=true), API instances run the
+  // jobs they queue themselves, after responding. Vercel freezes a function once it has
+  // responded, so deployments there always need the standalone worker (npm run worker).
+  runInProcess(jobId) {
+    if (process.env.CRAWLER_EXTERNAL_WORKER === 'true' || process.env.VERCEL) return;
+
+    this.processJob(jobId).catch(error => {
+      console.error(`Crawl job ${jobId} failed:`, error);
+    });
+  }
+
+  async processJob(jobId) {
+    const job = await this.claimJob(jobId);
+    if (!job) return null;
+
+    return this.runJob(job);
+  }
+
+  async runJob(job) {
+    // Lazy import to avoid importing Puppeteer for status polling
+    const CrawlerService = require('./crawler');
+    const crawler = new CrawlerService();
+    const stopHeartbeat = this.startHeartbeat(job.id);
+
+    try {
+      const auth = await this.getSecrets(job.id);
+      const request = auth
+        ? { ...job.request, options: { ...job.request.options, auth } }
+        : job.request;
+
+      const result = await crawler.crawl({ ...request, jobId: job.id }, {
+        onProgress: progress => this.updateJob(job.id, { progress }),
+        resume: job.resume === true
+      });
+
+      // Failed jobs keep their credentials until they expire, so they can be resumed
+      if (result.status === 'completed') {
+        await this.clearSecrets(job.id);
+      }
+
+      return await this.finishJob(await this.updateJob(job.id, {
+        state: result.status === 'completed' ? 'completed' : 'failed',
+        result,
+        error: result.error || null,
+        finishedAt: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error(`Crawl job ${job.id} failed:`, error);
+
+      return this.finishJob(await this.updateJob(job.id, {
+        state: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      }));
+    } finally {
+      await stopHeartbeat();
+      await crawler.cleanup();
+    }
+  }
+
+  // Scheduled runs report back to their schedule (regression alerts, last run)
+  async finishJob(job) {
+    if (!job.request.scheduleId) return job;
+
+    try {
+      // Lazy import, the scheduler depends on the job queue
+      const ScheduleService = require('./scheduler');
+      await new ScheduleService().handleRunFinished(job);
+    } catch (error) {
+      console.error(`Failed to update schedule for job ${job.id}:`, error);
+    }
+
+    return job;
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,226 @@
+const UrlNormalizer = require('./urlNormalizer');
+
+class LinkChecker {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.auth = options.auth || null;
+    // The crawl's per-host throttle and robots.txt, so link checks keep to the same politeness
+    this.throttle = options.throttle || null;
+    this.robots = options.robots || null;
+    // Shared with the crawl frontier so both agree on which URLs are the same
+    this.normalizer = options.normalizer || new UrlNormalizer(options.normalization);
+    this.concurrency = Math.min(Math.max(1, parseInt(options.linkCheckConcurrency) || 5), 20);
+    this.maxTargets = 2000;
+    this.timeout = 10000;
+
+    // normalized target URL -> { type, fetchUrl, sources }
+    this.targets = new Map();
+    // normalized page URL -> fragment -> sources
+    this.fragments = new Map();
+    // normalized page URL -> Set of element ids / anchor names
+    this.anchors = new Map();
+    // { status, error } we already know from crawling, so those URLs aren't fetched twice
+    this.knownStatuses = new Map();
+  }
+
+  // Collect every link, resource and #fragment reference of a page
+  collect(pageUrl, content) {
+    const page = this.normalize(pageUrl);
+    this.anchors.set(page, new Set(content.anchorIds || []));
+
+    for (const link of content.links || []) {
+      this.addTarget(link.href, 'link', page);
+    }
+    for (const resource of content.resources || []) {
+      this.addTarget(resource.url, resource.type, page);
+    }
+  }
+
+  addTarget(href, type, source) {
+    let parsed;
+    try {
+      parsed = new URL(href);
+    } catch {
+      return;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return;
+
+    let fragment = parsed.hash.slice(1);
+    try {
+      fragment = decodeURIComponent(fragment);
+    } catch {
+      // keep the raw fragment
+    }
+    parsed.hash = '';
+    const fetchUrl = parsed.toString();
+    const target = this.normalize(fetchUrl);
+
+    if (type === 'link' && fragment) {
+      if (!this.fragments.has(target)) this.fragments.set(target, new Map());
+      const fragmentSources = this.fragments.get(target);
+      if (!fragmentSources.has(fragment)) fragmentSources.set(fragment, new Set());
+      fragmentSources.get(fragment).add(source);
+    }
+
+    if (!this.targets.has(target)) {
+      if (this.targets.size >= this.maxTargets) return;
+      this.targets.set(target, { type, fetchUrl, sources: new Set() });
+    }
+    this.targets.get(target).sources.add(source);
+  }
+
+  // Crawled pages without a status (redirect loops, no response) carry the reason as `error`
+  recordStatus(url, status, error = null) {
+    this.knownStatuses.set(this.normalize(url), { status, error });
+  }
+
+  // Verify all collected targets; resolves with the broken ones
+  async check() {
+    const entries = [...this.targets.entries()];
+    const broken = [];
+    let index = 0;
+
+    const worker = async () => {
+      while (index < entries.length) {
+        const [url, target] = entries[index++];
+        const result = this.knownStatuses.has(url)
+          ? this.knownStatuses.get(url)
+          : await this.verify(target.fetchUrl || url);
+
+        if (result.error || !result.status || result.status >= 400) {
+          broken.push({
+            url: target.fetchUrl || url,
+            type: target.type,
+            status: result.status || null,
+            error: result.error || (result.status ? null : 'No response'),
+            sources: [...target.sources]
+          });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+    return [...broken, ...this.checkFragments()];
+  }
+
+  // HEAD first; many servers reject or mishandle HEAD, so retry those with GET
+  async verify(url) {
+    try {
+      const head = await this.request(url, 'HEAD');
+      if (head.status < 400) return { status: head.status };
+    } catch {
+      // fall through to GET
+    }
+
+    try {
+      const get = await this.request(url, 'GET');
+      return { status: get.status };
+    } catch (error) {
+      return { error: error.name === 'AbortError' ? 'Request timed out' : error.message };
+    }
+  }
+
+  async request(url, method) {
+    const release = this.throttle
+      ? await this.throttle.acquire(url, this.robots ? await this.robots.getCrawlDelay(url) : 0)
+      : () => {};
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          ...(this.userAgent ? { 'User-Agent': this.userAgent } : {}),
+          ...this.auth?.headersFor(url)
+        },
+        signal: controller.signal
+      });
+      // Don't download bodies, only the status matters
+      await response.body?.cancel().catch(() => {});
+      return response;
+    } finally {
+      clearTimeout(timer);
+      release();
+    }
+  }
+
+  // Fragments can only be verified on pages whose DOM we have seen
+  checkFragments() {
+    const broken = [];
+
+    for (const [page, fragmentSources] of this.fragments) {
+      const ids = this.anchors.get(page);
+      if (!ids) continue;
+
+      for (const [fragment, sources] of fragmentSources) {
+        // "#" and "#top" are valid without a matching element
+        if (fragment === '' || fragment.toLowerCase() === 'top' || ids.has(fragment)) continue;
+
+        broken.push({
+          url: `${page}#${fragment}`,
+          type: 'fragment',
+          status: null,
+          error: `No element with id or name "${fragment}"`,
+          sources: [...sources]
+        });
+      }
+    }
+
+    return broken;
+  }
+
+  toIssues(broken) {
+    const labels = {
+      link: ['high', 'Broken link'],
+      image: ['medium', 'Broken image'],
+      script: ['medium', 'Broken script'],
+      stylesheet: ['medium', 'Broken stylesheet'],
+      fragment: ['low', 'Broken anchor link']
+    };
+
+    return broken.map(target => {
+      const [severity, message] = labels[target.type];
+      const reason = target.status ? `returned HTTP ${target.status}` : target.error;
+
+      return {
+        type: 'technical',
+        severity,
+        message,
+        details: `${target.url} ${reason}, referenced from ${target.sources.length} page(s)`,
+        url: target.url,
+        sources: target.sources
+      };
+    });
+  }
+
+  getState() {
+    return {
+      targets: [...this.targets].map(([url, target]) => [url, { ...target, sources: [...target.sources] }]),
+      fragments: [...this.fragments].map(([page, fragments]) =>
+        [page, [...fragments].map(([fragment, sources]) => [fragment, [...sources]])]
+      ),
+      anchors: [...this.anchors].map(([page, ids]) => [page, [...ids]]),
+      knownStatuses: [...this.knownStatuses]
+    };
+  }
+
+  restoreState(state) {
+    this.targets = new Map(state.targets.map(([url, target]) => [url, { ...target, sources: new Set(target.sources) }]));
+    this.fragments = new Map(state.fragments.map(([page, fragments]) =>
+      [page, new Map(fragments.map(([fragment, sources]) => [fragment, new Set(sources)]))]
+    ));
+    this.anchors = new Map(state.anchors.map(([page, ids]) => [page, new Set(ids)]));
+    // Checkpoints from before errors were recorded hold bare statuses
+    this.knownStatuses = new Map(state.knownStatuses.map(([url, known]) =>
+      [url, typeof known === 'object' && known !== null ? known : { status: known, error: null }]
+    ));
+  }
+
+  normalize(url) {
+    return this.normalizer.normalize(url) || url;
+  }
+}
+
+module.exports = LinkChecker;
@@ -0,0 +1,224 @@
+class LinkGraph {
+  constructor(startUrl) {
+    this.startUrl = startUrl;
+
+    // normalized URL -> { crawled, source } for crawled pages and every internal link target
+    this.nodes = new Map();
+    // "from\nto" -> { from, to, anchors, count, nofollow, redirect }
+    this.edges = new Map();
+
+    this.damping = 0.85;
+    this.iterations = 40;
+    // Anchor texts kept per edge
+    this.maxAnchors = 10;
+  }
+
+  addPage(url, source) {
+    const node = this.nodes.get(url) || {};
+    this.nodes.set(url, { ...node, crawled: true, source: node.source || source });
+  }
+
+  addTarget(url) {
+    if (!this.nodes.has(url)) {
+      this.nodes.set(url, { crawled: false, source: 'link' });
+    }
+  }
+
+  // A link counts as nofollow only if every link between the two pages is nofollow
+  addLink(from, to, { text = '', nofollow = false, redirect = false } = {}) {
+    if (from === to) return;
+    this.addTarget(to);
+
+    const key = `${from}\n${to}`;
+    if (!this.edges.has(key)) {
+      this.edges.set(key, { from, to, anchors: [], count: 0, nofollow: true, redirect });
+    }
+
+    const edge = this.edges.get(key);
+    edge.count++;
+    edge.nofollow = edge.nofollow && nofollow;
+    const anchor = text.replace(/\s+/g, ' ').trim();
+    if (anchor && !edge.anchors.includes(anchor) && edge.anchors.length < this.maxAnchors) {
+      edge.anchors.push(anchor);
+    }
+  }
+
+  outgoing() {
+    const outgoing = new Map([...this.nodes.keys()].map(url => [url, []]));
+    for (const edge of this.edges.values()) {
+      outgoing.get(edge.from)?.push(edge);
+    }
+    return outgoing;
+  }
+
+  // Clicks needed from the start URL, breadth-first over every link (nofollow links are still
+  // clickable). Following a redirect costs no click, so those targets go to the front of the queue.
+  clickDepths() {
+    const outgoing = this.outgoing();
+    const depths = new Map([[this.startUrl, 0]]);
+    const queue = [this.startUrl];
+
+    while (queue.length > 0) {
+      const url = queue.shift();
+      for (const edge of outgoing.get(url) || []) {
+        if (depths.has(edge.to)) continue;
+        if (edge.redirect) {
+          depths.set(edge.to, depths.get(url));
+          queue.unshift(edge.to);
+        } else {
+          depths.set(edge.to, depths.get(url) + 1);
+          queue.push(edge.to);
+        }
+      }
+    }
+
+    return depths;
+  }
+
+  // Distinct pages linking to each URL; redirects don't count as links
+  inboundCounts() {
+    const counts = new Map([...this.nodes.keys()].map(url => [url, 0]));
+    for (const edge of this.edges.values()) {
+      if (!edge.redirect) counts.set(edge.to, counts.get(edge.to) + 1);
+    }
+    return counts;
+  }
+
+  // Crawled pages that no crawled page links to, only reached through the sitemap
+  orphans() {
+    const inbound = this.inboundCounts();
+    return [...this.nodes]
+      .filter(([url, node]) => node.crawled && node.source === 'sitemap' && inbound.get(url) === 0)
+      .map(([url]) => url);
+  }
+
+  // PageRank over followed links; rank of pages without outlinks is spread over all pages
+  pageRank() {
+    const urls = [...this.nodes.keys()];
+    const count = urls.length;
+    if (count === 0) return new Map();
+
+    const outgoing = this.outgoing();
+    const followed = new Map(urls.map(url => [url, outgoing.get(url).filter(edge => !edge.nofollow)]));
+    let ranks = new Map(urls.map(url => [url, 1 / count]));
+
+    for (let i = 0; i < this.iterations; i++) {
+      const dangling = urls
+        .filter(url => followed.get(url).length === 0)
+        .reduce((sum, url) => sum + ranks.get(url), 0);
+      const base = (1 - this.damping) / count + this.damping * dangling / count;
+      const next = new Map(urls.map(url => [url, base]));
+
+      for (const url of urls) {
+        const edges = followed.get(url);
+        for (const edge of edges) {
+          next.set(edge.to, next.get(edge.to) + this.damping * ranks.get(url) / edges.length);
+        }
+      }
+      ranks = next;
+    }
+
+    return ranks;
+  }
+
+  // Per-page link metrics keyed by URL
+  analyze() {
+    const depths = this.clickDepths();
+    const inbound = this.inboundCounts();
+    const ranks = this.pageRank();
+    const outbound = new Map([...this.outgoing()].map(([url, edges]) => [url, edges.filter(edge => !edge.redirect).length]));
+
+    const pages = new Map();
+    for (const url of this.nodes.keys()) {
+      pages.set(url, {
+        clickDepth: depths.has(url) ? depths.get(url) : null,
+        inlinks: inbound.get(url),
+        internalOutlinks: outbound.get(url),
+        pageRank: Math.round(ranks.get(url) * 1e6) / 1e6
+      });
+    }
+
+    return pages;
+  }
+
+  summary() {
+    const depths = [...this.clickDepths().values()];
+    return {
+      nodes: this.nodes.size,
+      edges: this.edges.size,
+      maxClickDepth: depths.length > 0 ? Math.max(...depths) : 0,
+      orphans: this.orphans()
+    };
+  }
+
+  toIssues() {
+    return this.orphans().map(url => ({
+      type: 'seo',
+      severity: 'medium',
+      message: 'Orphan page',
+      details: 'Page is listed in the sitemap but no crawled page links to it',
+      url
+    }));
+  }
+
+  toJSON() {
+    const metrics = this.analyze();
+    return {
+      startUrl: this.startUrl,
+      nodes: [...this.nodes].map(([url, node]) => ({ url, ...node, ...metrics.get(url) })),
+      edges: [...this.edges.values()]
+    };
+  }
+
+  getState() {
+    return {
+      startUrl: this.startUrl,
+      nodes: [...this.nodes].map(([url, node]) => ({ url, ...node })),
+      edges: [...this.edges.values()]
+    };
+  }
+
+  restoreState(state) {
+    this.nodes = new Map(state.nodes.map(({ url, crawled, source }) => [url, { crawled, source }]));
+    this.edges = new Map(state.edges.map(edge => [`${edge.from}\n${edge.to}`, edge]));
+  }
+
+  toGraphML() {
+    const escape = value => String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escape(value)}</data>`);
+    const { nodes, edges } = this.toJSON();
+    const ids = new Map(nodes.map((node, i) => [node.url, `n${i}`]));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+      '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+      '  <key id="crawled" for="node" attr.name="crawled" attr.type="boolean"/>',
+      '  <key id="source" for="node" attr.name="source" attr.type="string"/>',
+      '  <key id="clickDepth" for="node" attr.name="clickDepth" attr.type="int"/>',
+      '  <key id="inlinks" for="node" attr.name="inlinks" attr.type="int"/>',
+      '  <key id="pageRank" for="node" attr.name="pageRank" attr.type="double"/>',
+      '  <key id="anchors" for="edge" attr.name="anchors" attr.type="string"/>',
+      '  <key id="count" for="edge" attr.name="count" attr.type="int"/>',
+      '  <key id="nofollow" for="edge" attr.name="nofollow" attr.type="boolean"/>',
+      '  <key id="redirect" for="edge" attr.name="redirect" attr.type="boolean"/>',
+      '  <graph id="links" edgedefault="directed">',
+      ...nodes.map(node => `    <node id="${ids.get(node.url)}">` +
+        data('url', node.url) + data('crawled', node.crawled) + data('source', node.source) +
+        data('clickDepth', node.clickDepth) + data('inlinks', node.inlinks) + data('pageRank', node.pageRank) +
+        '</node>'),
+      ...edges.map(edge => `    <edge source="${ids.get(edge.from)}" target="${ids.get(edge.to)}">` +
+        data('anchors', edge.anchors.join(' | ')) + data('count', edge.count) +
+        data('nofollow', edge.nofollow) + data('redirect', edge.redirect) +
+        '</edge>'),
+      '  </graph>',
+      '</graphml>'
+    ].join('\n');
+  }
+}
+
+module.exports = LinkGraph;
@@ -51,15 +51,15 @@ class MonitoringService {
     const pipeline = this.redis.pipeline();
     
     // Track request count
-    pipeline.hincrby(\`\${this.keys.requests}:\${day}\`, route, 1);
+    pipeline.hincrby(`${this.keys.requests}:${day}`, route, 1);
     
     // Track response times
-    pipeline.lpush(\`\${this.keys.performance}:\${route}\`, duration);
-    pipeline.ltrim(\`\${this.keys.performance}:\${route}\`, 0, 999);
+    pipeline.lpush(`${this.keys.performance}:${route}`, duration);
+    pipeline.ltrim(`${this.keys.performance}:${route}`, 0, 999);
     
     // Track status codes
     if (status >= 400) {
-      pipeline.hincrby(\`\${this.keys.errors}:\${day}\`, route, 1);
+      pipeline.hincrby(`${this.keys.errors}:${day}`, route, 1);
     }
 
     await pipeline.exec();
@@ -80,7 +80,7 @@ class MonitoringService {
   // Error Tracking
   async trackError(error, context = {}) {
     const timestamp = Date.now();
-    const errorKey = \`error:\${timestamp}\`;
+    const errorKey = `error:${timestamp}`;
     
     // Store error details
     await this.redis.hset(errorKey, {
@@ -114,7 +114,7 @@ class MonitoringService {
     
     // Store metric
     await this.redis.zadd(
-      \`usage:\${metric}:\${day}\`,
+      `usage:${metric}:${day}`,
       timestamp,
       JSON.stringify({ value, tags })
     );
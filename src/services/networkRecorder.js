@@ -0,0 +1,307 @@
+// Resource types whose bodies compress well and should be served gzip/brotli encoded
+const TEXT_TYPES = ['document', 'script', 'stylesheet', 'xhr', 'fetch'];
+// Resource types that should be cacheable
+const STATIC_TYPES = ['script', 'stylesheet', 'image', 'font', 'media'];
+
+// Records every request of a page load through the DevTools protocol, which (unlike
+// Puppeteer's request events) reports encoded and decoded body sizes.
+class NetworkRecorder {
+  constructor(options = {}) {
+    this.maxPageWeight = parseInt(options.maxPageWeight) || 3 * 1024 * 1024;
+    // Text responses smaller than this aren't worth compressing
+    this.minCompressibleSize = 1400;
+    // Entries listed per issue / kept per HAR page
+    this.maxListed = 10;
+    this.maxHarEntries = 500;
+    // Credentials never end up in exported HAR files
+    this.redactedHeaders = new Set([
+      'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+      ...Object.keys(options.auth?.headers || {}).map(name => name.toLowerCase())
+    ]);
+  }
+
+  // Start recording on a page; call stop() on the returned recording once the page is analyzed
+  async start(page) {
+    const session = await page.target().createCDPSession();
+    const requests = new Map();
+
+    session.on('Network.requestWillBeSent', event => {
+      // Redirects reuse the request id; the hop itself is covered by the response analyzer
+      requests.set(event.requestId, {
+        url: event.request.url,
+        method: event.request.method,
+        requestHeaders: event.request.headers,
+        type: (event.type || 'Other').toLowerCase(),
+        wallTime: event.wallTime,
+        startTime: event.timestamp,
+        status: null,
+        responseHeaders: {},
+        mimeType: null,
+        protocol: null,
+        timing: null,
+        fromCache: false,
+        decodedBytes: 0,
+        transferBytes: 0,
+        endTime: null,
+        failed: null
+      });
+    });
+    session.on('Network.responseReceived', event => {
+      const request = requests.get(event.requestId);
+      if (!request) return;
+
+      Object.assign(request, {
+        status: event.response.status,
+        responseHeaders: this.lowercaseKeys(event.response.headers),
+        mimeType: event.response.mimeType,
+        protocol: event.response.protocol || null,
+        timing: event.response.timing || null,
+        fromCache: Boolean(event.response.fromDiskCache || event.response.fromServiceWorker)
+      });
+    });
+    session.on('Network.dataReceived', event => {
+      const request = requests.get(event.requestId);
+      if (request) request.decodedBytes += event.dataLength;
+    });
+    session.on('Network.loadingFinished', event => {
+      const request = requests.get(event.requestId);
+      if (!request) return;
+
+      request.transferBytes = event.encodedDataLength;
+      request.endTime = event.timestamp;
+    });
+    session.on('Network.loadingFailed', event => {
+      const request = requests.get(event.requestId);
+      if (!request) return;
+
+      request.failed = event.errorText;
+      request.endTime = event.timestamp;
+    });
+
+    await session.send('Network.enable');
+
+    return {
+      stop: async () => {
+        await session.detach().catch(() => {});
+        return [...requests.values()];
+      }
+    };
+  }
+
+  lowercaseKeys(headers = {}) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  }
+
+  // Page weight summary: counts and bytes by type and by party
+  summarize(requests, isFirstParty) {
+    const bucket = () => ({ requests: 0, transferBytes: 0, decodedBytes: 0 });
+    const add = (target, request) => {
+      target.requests++;
+      target.transferBytes += request.transferBytes;
+      target.decodedBytes += request.decodedBytes;
+    };
+
+    const total = bucket();
+    const byType = {};
+    const firstParty = bucket();
+    const thirdParty = bucket();
+
+    for (const request of requests) {
+      add(total, request);
+      add(byType[request.type] = byType[request.type] || bucket(), request);
+      add(isFirstParty(request.url) ? firstParty : thirdParty, request);
+    }
+
+    return {
+      ...total,
+      failedRequests: requests.filter(request => request.failed).length,
+      byType,
+      firstParty,
+      thirdParty,
+      thirdPartyShare: total.transferBytes > 0
+        ? Math.round((thirdParty.transferBytes / total.transferBytes) * 100) / 100
+        : 0,
+      uncompressed: this.findUncompressed(requests),
+      uncached: this.findUncached(requests, isFirstParty)
+    };
+  }
+
+  findUncompressed(requests) {
+    return requests
+      .filter(request =>
+        TEXT_TYPES.includes(request.type) &&
+        request.status === 200 &&
+        !request.fromCache &&
+        request.decodedBytes >= this.minCompressibleSize &&
+        !request.responseHeaders['content-encoding']
+      )
+      .map(request => ({ url: request.url, type: request.type, bytes: request.decodedBytes }));
+  }
+
+  // Only first-party assets: caching of third-party files isn't the site's to fix
+  findUncached(requests, isFirstParty) {
+    return requests
+      .filter(request =>
+        STATIC_TYPES.includes(request.type) &&
+        request.status === 200 &&
+        isFirstParty(request.url) &&
+        !this.isCacheable(request.responseHeaders)
+      )
+      .map(request => ({
+        url: request.url,
+        type: request.type,
+        cacheControl: request.responseHeaders['cache-control'] || null
+      }));
+  }
+
+  isCacheable(headers) {
+    const cacheControl = (headers['cache-control'] || '').toLowerCase();
+    if (/no-store|no-cache|max-age=0\b/.test(cacheControl)) return false;
+
+    return /max-age=\d+|s-maxage=\d+|immutable/.test(cacheControl) || Boolean(headers['expires']);
+  }
+
+  toIssues(url, network) {
+    const issues = [];
+    const sample = list => list.slice(0, this.maxListed).map(item => item.url).join(', ');
+
+    if (network.transferBytes > this.maxPageWeight) {
+      issues.push({
+        type: 'performance',
+        severity: 'high',
+        message: 'Page weight too large',
+        details: `Page transfers ${this.formatBytes(network.transferBytes)} in ${network.requests} requests. ` +
+          `Target: < ${this.formatBytes(this.maxPageWeight)}`
+      });
+    }
+
+    if (network.uncompressed.length > 0) {
+      const bytes = network.uncompressed.reduce((sum, item) => sum + item.bytes, 0);
+      issues.push({
+        type: 'performance',
+        severity: 'medium',
+        message: 'Text assets served without compression',
+        details: `${network.uncompressed.length} text responses (${this.formatBytes(bytes)}) have no ` +
+          `Content-Encoding. Enable gzip or brotli: ${sample(network.uncompressed)}`
+      });
+    }
+
+    if (network.uncached.length > 0) {
+      issues.push({
+        type: 'performance',
+        severity: 'low',
+        message: 'Static assets without caching headers',
+        details: `${network.uncached.length} static files have no Cache-Control max-age or Expires header: ` +
+          sample(network.uncached)
+      });
+    }
+
+    return issues.map(issue => ({ ...issue, url }));
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(2) + ' MB';
+    return Math.round(bytes / 1024) + ' KB';
+  }
+
+  // HAR 1.2 entries for one page (headers and timings, no bodies)
+  toHarPage(pageId, url, requests) {
+    const started = requests.find(request => request.wallTime);
+    const startedDateTime = started ? new Date(started.wallTime * 1000).toISOString() : new Date().toISOString();
+
+    return {
+      page: {
+        id: pageId,
+        title: url,
+        startedDateTime,
+        pageTimings: {}
+      },
+      entries: requests.slice(0, this.maxHarEntries).map(request => this.toHarEntry(pageId, request, started))
+    };
+  }
+
+  toHarEntry(pageId, request, started) {
+    const headerList = headers => Object.entries(headers || {}).map(([name, value]) => ({
+      name,
+      value: this.redactedHeaders.has(name.toLowerCase()) ? '[redacted]' : String(value)
+    }));
+    const query = (() => {
+      try {
+        return [...new URL(request.url).searchParams].map(([name, value]) => ({ name, value }));
+      } catch {
+        return [];
+      }
+    })();
+
+    const timings = this.toHarTimings(request);
+    const wallTime = started ? started.wallTime + (request.startTime - started.startTime) : null;
+
+    return {
+      pageref: pageId,
+      startedDateTime: wallTime ? new Date(wallTime * 1000).toISOString() : new Date().toISOString(),
+      time: Object.values(timings).filter(value => value > 0).reduce((sum, value) => sum + value, 0),
+      request: {
+        method: request.method,
+        url: request.url,
+        httpVersion: request.protocol || 'unknown',
+        cookies: [],
+        headers: headerList(request.requestHeaders),
+        queryString: query,
+        headersSize: -1,
+        bodySize: -1
+      },
+      response: {
+        status: request.status || 0,
+        statusText: request.failed || '',
+        httpVersion: request.protocol || 'unknown',
+        cookies: [],
+        headers: headerList(request.responseHeaders),
+        content: {
+          size: request.decodedBytes,
+          mimeType: request.mimeType || 'x-unknown'
+        },
+        redirectURL: request.responseHeaders.location || '',
+        headersSize: -1,
+        bodySize: request.transferBytes
+      },
+      cache: {},
+      timings,
+      _resourceType: request.type
+    };
+  }
+
+  // DevTools timing offsets are milliseconds relative to timing.requestTime (seconds)
+  toHarTimings(request) {
+    const timing = request.timing;
+    const span = (start, end) => (start >= 0 && end >= 0 ? Math.round(end - start) : -1);
+
+    if (!timing) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 };
+    }
+
+    const headersEnd = timing.requestTime + timing.receiveHeadersEnd / 1000;
+    return {
+      blocked: Math.max(0, Math.round((timing.requestTime - request.startTime) * 1000)),
+      dns: span(timing.dnsStart, timing.dnsEnd),
+      connect: span(timing.connectStart, timing.connectEnd),
+      ssl: span(timing.sslStart, timing.sslEnd),
+      send: Math.max(0, span(timing.sendStart, timing.sendEnd)),
+      wait: Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd)),
+      receive: request.endTime ? Math.max(0, Math.round((request.endTime - headersEnd) * 1000)) : 0
+    };
+  }
+
+  // Combine per-page HAR sections into one HAR log
+  buildHar(harPages) {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'Site Aura Crawler', version: '1.0.0' },
+        pages: harPages.map(harPage => harPage.page),
+        entries: harPages.flatMap(harPage => harPage.entries)
+      }
+    };
+  }
+}
+
+module.exports = NetworkRecorder;
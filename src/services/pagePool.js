@@ -0,0 +1,49 @@
+class PagePool {
+  constructor(browser, size, setupPage) {
+    this.browser = browser;
+    this.size = size;
+    this.setupPage = setupPage;
+
+    this.pages = [];
+    this.idle = [];
+    this.waiters = [];
+  }
+
+  // Hand out an idle page, open a new one while under the pool size, or wait for a release
+  async acquire() {
+    if (this.idle.length > 0) {
+      return this.idle.pop();
+    }
+
+    if (this.pages.length < this.size) {
+      const pending = this.browser.newPage();
+      this.pages.push(pending);
+      const page = await pending;
+      if (this.setupPage) {
+        await this.setupPage(page);
+      }
+      return page;
+    }
+
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  release(page) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter(page);
+    } else {
+      this.idle.push(page);
+    }
+  }
+
+  async close() {
+    const pages = await Promise.all(this.pages.map(page => page.catch(() => null)));
+    await Promise.all(pages.filter(Boolean).map(page => page.close().catch(() => {})));
+
+    this.pages = [];
+    this.idle = [];
+  }
+}
+
+module.exports = PagePool;
@@ -20,9 +20,9 @@ class RateLimiter {
 
   async isAllowed(userId, domain) {
     const now = Math.floor(Date.now() / 1000);
-    const userKey = \`ratelimit:user:\${userId}\`;
-    const domainKey = \`ratelimit:domain:\${domain}\`;
-    const concurrentKey = \`ratelimit:concurrent:\${domain}\`;
+    const userKey = `ratelimit:user:${userId}`;
+    const domainKey = `ratelimit:domain:${domain}`;
+    const concurrentKey = `ratelimit:concurrent:${domain}`;
 
     const pipeline = this.redis.pipeline();
 
@@ -55,10 +55,10 @@ class RateLimiter {
 
   async trackRequest(userId, domain) {
     const now = Math.floor(Date.now() / 1000);
-    const userKey = \`ratelimit:user:\${userId}\`;
-    const domainKey = \`ratelimit:domain:\${domain}\`;
-    const concurrentKey = \`ratelimit:concurrent:\${domain}\`;
-    const requestId = \`\${userId}:\${now}:\${Math.random()}\`;
+    const userKey = `ratelimit:user:${userId}`;
+    const domainKey = `ratelimit:domain:${domain}`;
+    const concurrentKey = `ratelimit:concurrent:${domain}`;
+    const requestId = `${userId}:${now}:${Math.random()}`;
 
     const pipeline = this.redis.pipeline();
 
@@ -79,13 +79,13 @@ class RateLimiter {
   }
 
   async completeRequest(domain, requestId) {
-    const concurrentKey = \`ratelimit:concurrent:\${domain}\`;
+    const concurrentKey = `ratelimit:concurrent:${domain}`;
     await this.redis.srem(concurrentKey, requestId);
   }
 
   async getUserMetrics(userId) {
     const now = Math.floor(Date.now() / 1000);
-    const userKey = \`ratelimit:user:\${userId}\`;
+    const userKey = `ratelimit:user:${userId}`;
     
     // Clean up old records first
     await this.redis.zremrangebyscore(userKey, 0, now - this.limits.user.window);
@@ -102,8 +102,8 @@ class RateLimiter {
 
   async getDomainMetrics(domain) {
     const now = Math.floor(Date.now() / 1000);
-    const domainKey = \`ratelimit:domain:\${domain}\`;
-    const concurrentKey = \`ratelimit:concurrent:\${domain}\`;
+    const domainKey = `ratelimit:domain:${domain}`;
+    const concurrentKey = `ratelimit:concurrent:${domain}`;
     
     // Clean up old records
     await this.redis.zremrangebyscore(domainKey, 0, now - this.limits.domain.window);
@@ -1,10 +1,20 @@
 const puppeteer = require('puppeteer');
 const SEOValidator = require('./seoValidator');
+const LinkChecker = require('./linkChecker');
 
 class RecheckService {
   constructor() {
     this.browser = null;
     this.seoValidator = new SEOValidator();
+
+    // Checks that aren't per-page SEO rules
+    this.checks = {
+      brokenLinksCheck: async (page, content) => {
+        const linkChecker = new LinkChecker();
+        linkChecker.collect(page.url(), content);
+        return linkChecker.toIssues(await linkChecker.check());
+      }
+    };
   }
 
   async initialize() {
@@ -84,7 +94,7 @@ class RecheckService {
 
     // Run only the specific checks needed
     for (const check of checks) {
-      const checkFunction = this.seoValidator.rules.critical.find(
+      const checkFunction = this.checks[check] || this.seoValidator.rules.critical.find(
         rule => rule.name === check
       ) || this.seoValidator.rules.high.find(
         rule => rule.name === check
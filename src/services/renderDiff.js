@@ -0,0 +1,157 @@
+// SEO-critical elements compared between the two versions of a page
+const ELEMENTS = ['title', 'metaDescription', 'canonical', 'robots', 'h1', 'structuredData'];
+// Elements whose absence from the server HTML can keep a page out of the index or misattribute it
+const CRITICAL_ELEMENTS = ['title', 'canonical', 'robots'];
+
+// Compares the HTML the server sends with the DOM after JavaScript ran. Search engines that
+// don't render, or render later, only see the former.
+class RenderDiff {
+  constructor() {
+    this.maxListed = 20;
+    // Rendered pages with less than this share of their words in the server HTML depend on JS for content
+    this.minRawContentRatio = 0.5;
+    this.minWords = 50;
+  }
+
+  // Both arguments are validator content objects: the static one built from the raw HTML,
+  // and the one read from the rendered page
+  compare(rawContent, renderedContent) {
+    const raw = this.extract(rawContent);
+    const rendered = this.extract(renderedContent);
+
+    const elements = {};
+    const jsOnly = [];
+    const changed = [];
+    const removed = [];
+    for (const name of ELEMENTS) {
+      const before = raw[name];
+      const after = rendered[name];
+      elements[name] = { raw: before, rendered: after };
+
+      if (!before && after) jsOnly.push(name);
+      else if (before && !after) removed.push(name);
+      else if (before !== after) changed.push(name);
+    }
+
+    const rawLinks = this.linkSet(rawContent);
+    const renderedLinks = this.linkSet(renderedContent);
+    const jsOnlyLinks = [...renderedLinks].filter(href => !rawLinks.has(href));
+
+    const rawWords = this.wordCount(rawContent);
+    const renderedWords = this.wordCount(renderedContent);
+
+    return {
+      elements,
+      jsOnly,
+      changed,
+      removed,
+      links: {
+        raw: rawLinks.size,
+        rendered: renderedLinks.size,
+        delta: renderedLinks.size - rawLinks.size,
+        jsOnlyCount: jsOnlyLinks.length,
+        jsOnly: jsOnlyLinks.slice(0, this.maxListed)
+      },
+      wordCount: {
+        raw: rawWords,
+        rendered: renderedWords,
+        delta: renderedWords - rawWords
+      }
+    };
+  }
+
+  // Whitespace is collapsed on both sides: markup indentation isn't a change made by JavaScript
+  extract(content) {
+    const clean = text => text?.replace(/\s+/g, ' ').trim() || null;
+    const meta = name => clean(content.metaTags.find(tag => tag.name?.toLowerCase() === name)?.content);
+    const h1s = content.headings
+      .filter(heading => heading.level === 1)
+      .map(heading => clean(heading.text))
+      .filter(Boolean);
+    const types = this.structuredDataTypes(content.structuredData);
+
+    return {
+      title: clean(content.title),
+      metaDescription: meta('description'),
+      canonical: content.canonicals?.[0] || null,
+      robots: meta('robots')?.toLowerCase().replace(/\s+/g, '') || null,
+      h1: h1s.length > 0 ? h1s.join(' | ') : null,
+      structuredData: types.length > 0 ? types.join(', ') : null
+    };
+  }
+
+  // Sorted @type values of every JSON-LD block, including @graph members
+  structuredDataTypes(blocks = []) {
+    const types = [];
+    const visit = node => {
+      if (Array.isArray(node)) return node.forEach(visit);
+      if (!node || typeof node !== 'object') return;
+
+      types.push(...[].concat(node['@type'] || []));
+      if (node['@graph']) visit(node['@graph']);
+    };
+    visit(blocks);
+
+    return types.map(String).sort();
+  }
+
+  linkSet(content) {
+    return new Set(content.links.map(link => link.href).filter(href => href && href.startsWith('http')));
+  }
+
+  wordCount(content) {
+    return content.textContent.split(/\s+/).filter(Boolean).length;
+  }
+
+  toIssues(url, diff) {
+    const issues = [];
+    const describe = name => {
+      const { raw, rendered } = diff.elements[name];
+      return `${name}: ${JSON.stringify(raw)} -> ${JSON.stringify(rendered)}`;
+    };
+
+    if (diff.jsOnly.length > 0) {
+      issues.push({
+        type: 'seo',
+        severity: diff.jsOnly.some(name => CRITICAL_ELEMENTS.includes(name)) ? 'high' : 'medium',
+        message: 'SEO elements only present after JavaScript rendering',
+        details: `Not in the server HTML: ${diff.jsOnly.join(', ')}. Search engines that don't render ` +
+          'JavaScript will not see them'
+      });
+    }
+
+    const modified = [...diff.changed, ...diff.removed];
+    if (modified.length > 0) {
+      issues.push({
+        type: 'seo',
+        severity: modified.some(name => CRITICAL_ELEMENTS.includes(name)) ? 'high' : 'medium',
+        message: 'SEO elements changed by JavaScript',
+        details: 'Server HTML and rendered page disagree. ' + modified.map(describe).join('; ')
+      });
+    }
+
+    if (diff.links.jsOnlyCount > 0) {
+      issues.push({
+        type: 'seo',
+        severity: 'medium',
+        message: 'Links only present after JavaScript rendering',
+        details: `${diff.links.jsOnlyCount} of ${diff.links.rendered} links are added by JavaScript: ` +
+          diff.links.jsOnly.slice(0, 10).join(', ')
+      });
+    }
+
+    const { raw, rendered } = diff.wordCount;
+    if (rendered >= this.minWords && raw / rendered < this.minRawContentRatio) {
+      issues.push({
+        type: 'content',
+        severity: 'medium',
+        message: 'Content depends on JavaScript rendering',
+        details: `Server HTML has ${raw} words, the rendered page ${rendered}`
+      });
+    }
+
+    return issues.map(issue => ({ ...issue, url }));
+  }
+}
+
+module.exports = RenderDiff;
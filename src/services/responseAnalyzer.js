@@ -0,0 +1,179 @@
+class ResponseAnalyzer {
+  constructor(options = {}) {
+    // Chains with more hops than this are reported
+    this.maxRedirectHops = parseInt(options.maxRedirectHops) || 2;
+    this.maxRedirects = 20;
+    this.soft404Pattern = /\b(404|not found|page (?:does not|doesn't) exist|no longer available)\b/i;
+  }
+
+  // Static mode: follow redirects by hand so each hop's status and Location are recorded.
+  // `headersFor` adds per-URL headers, so credentials don't follow redirects off-site.
+  async fetchFollowingRedirects(url, options = {}, headersFor = () => ({})) {
+    const redirects = [];
+    const seen = new Set([url]);
+    const startedAt = Date.now();
+    let lastHopAt = startedAt;
+    let currentUrl = url;
+
+    while (true) {
+      const response = await fetch(currentUrl, {
+        ...options,
+        headers: { ...options.headers, ...headersFor(currentUrl) },
+        redirect: 'manual'
+      });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location) {
+        return {
+          response,
+          record: {
+            status: response.status,
+            finalUrl: currentUrl,
+            redirects,
+            redirectTime: lastHopAt - startedAt,
+            headerLinks: this.parseLinkHeader(response.headers.get('link'), currentUrl),
+            robotsHeader: response.headers.get('x-robots-tag')
+          }
+        };
+      }
+
+      // Drain the redirect body so the connection can be reused
+      await response.arrayBuffer().catch(() => null);
+
+      const nextUrl = new URL(location, currentUrl).toString();
+      redirects.push({ url: currentUrl, status: response.status, location: nextUrl });
+      lastHopAt = Date.now();
+
+      if (seen.has(nextUrl) || redirects.length >= this.maxRedirects) {
+        return {
+          response: null,
+          record: {
+            status: null,
+            finalUrl: null,
+            redirects,
+            redirectTime: Date.now() - startedAt,
+            redirectLoop: true
+          }
+        };
+      }
+
+      seen.add(nextUrl);
+      currentUrl = nextUrl;
+    }
+  }
+
+  // Browser mode: rebuild the hop list from Puppeteer's redirect chain
+  getBrowserRecord(response, startedAt, responseTimes) {
+    if (!response) {
+      return { status: null, finalUrl: null, redirects: [], redirectTime: 0 };
+    }
+
+    const chain = response.request().redirectChain();
+    const redirects = chain.map(request => {
+      const hop = request.response();
+      return {
+        url: request.url(),
+        status: hop ? hop.status() : null,
+        location: hop ? hop.headers().location || null : null
+      };
+    });
+    const lastHopAt = chain.length ? responseTimes.get(chain[chain.length - 1].url()) : null;
+
+    return {
+      status: response.status(),
+      finalUrl: response.url(),
+      redirects,
+      redirectTime: lastHopAt ? lastHopAt - startedAt : 0,
+      headerLinks: this.parseLinkHeader(response.headers().link, response.url()),
+      robotsHeader: response.headers()['x-robots-tag'] || null
+    };
+  }
+
+  // HTTP Link header: <https://example.com/fr/>; rel="alternate"; hreflang="fr", <...>; rel="canonical"
+  parseLinkHeader(value, baseUrl) {
+    if (!value) return [];
+
+    const links = [];
+    const pattern = /<([^>]*)>\s*((?:;\s*[\w*-]+\s*=\s*(?:"[^"]*"|[^;,]*)\s*)*)/g;
+    let match;
+    while ((match = pattern.exec(value))) {
+      const params = {};
+      for (const [, name, quoted, bare] of match[2].matchAll(/;\s*([\w*-]+)\s*=\s*(?:"([^"]*)"|([^;,]*))/g)) {
+        params[name.toLowerCase()] = (quoted ?? bare).trim();
+      }
+
+      let href;
+      try {
+        href = new URL(match[1].trim(), baseUrl).toString();
+      } catch {
+        continue;
+      }
+      links.push({ href, rel: (params.rel || '').toLowerCase(), ...(params.hreflang && { hreflang: params.hreflang }) });
+    }
+
+    return links;
+  }
+
+  // Issues for a single crawled URL
+  analyzePage(url, record, content) {
+    const issues = [];
+    const issue = (severity, message, details) => issues.push({
+      type: 'technical',
+      severity,
+      message,
+      details,
+      url
+    });
+
+    if (record.redirectLoop) {
+      issue('high', 'Redirect loop', 'Redirects never resolve: ' +
+        record.redirects.map(hop => `${hop.url} (${hop.status})`).join(' → '));
+      return issues;
+    }
+
+    if (record.redirects.length > this.maxRedirectHops) {
+      issue('medium', 'Redirect chain too long',
+        `${record.redirects.length} redirects before reaching ${record.finalUrl}. Link directly to the final URL (max ${this.maxRedirectHops} hops)`);
+    }
+
+    const temporary = record.redirects.filter(hop => hop.status === 302 || hop.status === 307);
+    if (temporary.length > 0) {
+      issue('medium', 'Temporary redirect used',
+        temporary.map(hop => `${hop.url} (${hop.status})`).join(', ') + ' – use a 301/308 if the move is permanent');
+    }
+
+    if (record.status >= 500) {
+      issue('critical', 'Server error', `Page responded with HTTP ${record.status}`);
+    } else if (record.status >= 400) {
+      issue('high', 'Broken page', `Page responded with HTTP ${record.status}`);
+    } else if (record.status === 200 && content && this.isSoft404(content)) {
+      issue('medium', 'Possible soft 404', 'Page returns 200 but looks like an error page. Return a 404 or 410 status instead');
+    }
+
+    return issues;
+  }
+
+  isSoft404(content) {
+    const h1 = content.headings.find(h => h.level === 1)?.text || '';
+    return this.soft404Pattern.test(content.title || '') || this.soft404Pattern.test(h1);
+  }
+
+  // Site-level: internal links that point at URLs which redirect
+  analyzeLinksToRedirects(pages, linkSources) {
+    return pages
+      .filter(page => page.redirects.length > 0 && linkSources.has(page.url))
+      .map(page => {
+        const sources = [...linkSources.get(page.url)];
+        return {
+          type: 'technical',
+          severity: 'medium',
+          message: 'Internal links point to a redirect',
+          details: `${sources.length} pages link to ${page.url}, which redirects to ${page.finalUrl || 'a loop'}. Update links to the final URL`,
+          url: page.url,
+          sources
+        };
+      });
+  }
+}
+
+module.exports = ResponseAnalyzer;
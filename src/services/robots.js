@@ -0,0 +1,70 @@
+const robotsParser = require('robots-parser');
+
+class RobotsService {
+  constructor(options = {}, auth = null) {
+    this.auth = auth;
+    this.userAgent = options.userAgent || RobotsService.defaultUserAgent;
+    // Site owners auditing their own (e.g. staging) sites may opt out of robots.txt rules
+    this.ignoreRules = options.ignoreRobotsTxt === true;
+
+    // Parsed robots.txt per origin, stored as promises so concurrent lookups share one fetch
+    this.cache = new Map();
+  }
+
+  async fetchRobotsTxt(url) {
+    const robotsUrl = new URL('/robots.txt', url).toString();
+
+    try {
+      const response = await fetch(robotsUrl, {
+        headers: { 'User-Agent': this.userAgent, ...this.auth?.headersFor(robotsUrl) }
+      });
+
+      // A missing robots.txt means everything is allowed
+      const robotsTxt = response.ok ? await response.text() : '';
+      return robotsParser(robotsUrl, robotsTxt);
+    } catch (error) {
+      console.warn(`Failed to fetch robots.txt for ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  async getRobots(url) {
+    const origin = new URL(url).origin;
+
+    if (!this.cache.has(origin)) {
+      this.cache.set(origin, this.fetchRobotsTxt(url));
+    }
+
+    return this.cache.get(origin);
+  }
+
+  async isAllowed(url) {
+    if (this.ignoreRules) return true;
+
+    const robots = await this.getRobots(url);
+    if (!robots) return true;
+
+    return robots.isAllowed(url, this.userAgent) !== false;
+  }
+
+  async getCrawlDelay(url) {
+    const robots = await this.getRobots(url);
+    const delay = robots?.getCrawlDelay(this.userAgent);
+    if (!delay) return 0;
+
+    // Some sites ask for absurd delays; cap them so a crawl can still finish
+    return Math.min(delay, RobotsService.maxCrawlDelay) * 1000;
+  }
+
+  async getSitemaps(url) {
+    const robots = await this.getRobots(url);
+    return robots ? robots.getSitemaps() : [];
+  }
+}
+
+RobotsService.defaultUserAgent = process.env.CRAWLER_USER_AGENT || 'LovableCrawler/1.0';
+
+// Seconds
+RobotsService.maxCrawlDelay = 30;
+
+module.exports = RobotsService;
@@ -0,0 +1,269 @@
+const redis = require('../utils/redis');
+const JobQueue = require('./jobQueue');
+const CreditService = require('./credits');
+const WebhookService = require('./webhook');
+const CrawlDiff = require('./crawlDiff');
+const CrawlReport = require('./crawlReport');
+const { validateCrawlOptions, validationError } = require('../utils/crawlOptions');
+const { nextRun } = require('../utils/cron');
+const { v4: uuidv4 } = require('uuid');
+
+// Recurring crawls. A tick (Vercel cron or the worker's timer) enqueues every schedule that is due;
+// the tick endpoint then runs them in process like POST /crawl, unless a standalone worker does.
+class ScheduleService {
+  constructor() {
+    this.redis = redis;
+    this.jobQueue = new JobQueue();
+    this.creditService = new CreditService();
+    this.webhookService = new WebhookService();
+    this.crawlDiff = new CrawlDiff();
+    this.report = new CrawlReport();
+
+    this.keys = {
+      all: 'crawl_schedules',
+      schedule: 'crawl_schedule',
+      secrets: 'crawl_schedule_secrets',
+      // Snapshot of the last completed run, kept as long as the schedule (jobs expire after a week)
+      baseline: 'crawl_schedule_baseline',
+      lock: 'crawl_schedule_lock'
+    };
+
+    // Two overlapping ticks must not start the same run twice
+    this.lockTtl = 60;
+    // Runs still queued after this long never got a worker; their reserved credits are refunded
+    this.startTimeout = 60 * 60 * 1000;
+    this.regressionSeverities = ['critical', 'high'];
+  }
+
+  async create({ userId, url, depth = 1, options = {}, schedule }) {
+    if (!userId) throw validationError('User ID is required');
+    if (!url) throw validationError('URL is required');
+    if (!schedule) throw validationError('schedule is required (cron expression or preset)');
+
+    try {
+      new URL(url);
+    } catch {
+      throw validationError('Invalid URL');
+    }
+    validateCrawlOptions(url, depth, options);
+
+    const { auth, ...storedOptions } = options;
+    const record = {
+      id: uuidv4(),
+      userId,
+      url,
+      depth,
+      options: storedOptions,
+      schedule,
+      enabled: true,
+      nextRunAt: nextRun(schedule).toISOString(),
+      lastRunAt: null,
+      lastJobId: null,
+      lastCompletedJobId: null,
+      pendingRun: null,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Like job credentials, schedule credentials never go into the record the API returns
+    if (auth) {
+      await this.redis.set(`${this.keys.secrets}:${record.id}`, JSON.stringify(auth));
+    }
+    await this.save(record);
+    await this.redis.sadd(this.keys.all, record.id);
+
+    return record;
+  }
+
+  async get(scheduleId) {
+    const schedule = await this.redis.get(`${this.keys.schedule}:${scheduleId}`);
+    if (!schedule) return null;
+
+    return typeof schedule === 'string' ? JSON.parse(schedule) : schedule;
+  }
+
+  async save(schedule) {
+    schedule.updatedAt = new Date().toISOString();
+    await this.redis.set(`${this.keys.schedule}:${schedule.id}`, JSON.stringify(schedule));
+    return schedule;
+  }
+
+  async update(scheduleId, updates) {
+    const schedule = await this.get(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    return this.save({ ...schedule, ...updates });
+  }
+
+  // Re-enabled schedules continue from now instead of catching up on missed runs
+  async setEnabled(scheduleId, enabled) {
+    const schedule = await this.get(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    return this.save({
+      ...schedule,
+      enabled,
+      nextRunAt: enabled && !schedule.enabled ? nextRun(schedule.schedule).toISOString() : schedule.nextRunAt
+    });
+  }
+
+  async list(userId) {
+    const ids = await this.redis.smembers(this.keys.all);
+    const schedules = await Promise.all(ids.map(id => this.get(id)));
+
+    return schedules.filter(schedule => schedule && (!userId || schedule.userId === userId));
+  }
+
+  async remove(scheduleId) {
+    await this.redis.srem(this.keys.all, scheduleId);
+    await this.redis.del(`${this.keys.schedule}:${scheduleId}`);
+    await this.redis.del(`${this.keys.secrets}:${scheduleId}`);
+    await this.redis.del(`${this.keys.baseline}:${scheduleId}`);
+  }
+
+  async getSecrets(scheduleId) {
+    const auth = await this.redis.get(`${this.keys.secrets}:${scheduleId}`);
+    if (!auth) return null;
+
+    return typeof auth === 'string' ? JSON.parse(auth) : auth;
+  }
+
+  // Enqueue every enabled schedule whose next run is due; returns what happened to each
+  async tick(now = new Date()) {
+    const schedules = await this.list();
+    for (const schedule of schedules) {
+      await this.expireStalledRun(schedule, now).catch(error => {
+        console.error(`Failed to expire queued run of schedule ${schedule.id}:`, error.message);
+      });
+    }
+
+    const due = schedules.filter(schedule =>
+      schedule.enabled && new Date(schedule.nextRunAt) <= now
+    );
+
+    const runs = [];
+    for (const schedule of due) {
+      const locked = await this.redis.set(`${this.keys.lock}:${schedule.id}`, now.toISOString(), {
+        nx: true,
+        ex: this.lockTtl
+      });
+      if (!locked) continue;
+
+      runs.push(await this.startRun(schedule, now));
+    }
+
+    return runs;
+  }
+
+  // Reserve credits for the run, then queue it. The crawler takes over the reservation and
+  // settles it against the pages actually crawled. Without credits the run is skipped.
+  async startRun(schedule, now) {
+    const nextRunAt = nextRun(schedule.schedule, now).toISOString();
+    const mode = schedule.options?.mode || 'browser';
+    const estimatedCost = this.creditService.calculateCrawlCost(1, schedule.depth || 1,
+      (schedule.options?.customChecks || []).length, mode);
+    const reservationId = uuidv4();
+
+    try {
+      await this.creditService.reserveCredits(schedule.userId, estimatedCost, reservationId);
+    } catch (error) {
+      await this.update(schedule.id, { nextRunAt, lastError: error.message });
+      return { scheduleId: schedule.id, status: 'skipped', reason: error.message };
+    }
+
+    try {
+      const auth = await this.getSecrets(schedule.id);
+      const job = await this.jobQueue.enqueue({
+        url: schedule.url,
+        depth: schedule.depth,
+        userId: schedule.userId,
+        options: auth ? { ...schedule.options, auth } : schedule.options,
+        scheduleId: schedule.id,
+        reservationId
+      });
+
+      await this.update(schedule.id, {
+        nextRunAt,
+        lastRunAt: now.toISOString(),
+        lastJobId: job.id,
+        pendingRun: { jobId: job.id, reservationId, queuedAt: now.toISOString() },
+        lastError: null
+      });
+
+      return { scheduleId: schedule.id, status: 'queued', jobId: job.id };
+    } catch (error) {
+      await this.creditService.releaseReservation(reservationId, false).catch(() => {});
+      await this.update(schedule.id, { nextRunAt, lastError: error.message });
+      return { scheduleId: schedule.id, status: 'failed', reason: error.message };
+    }
+  }
+
+  async getBaseline(scheduleId) {
+    const baseline = await this.redis.get(`${this.keys.baseline}:${scheduleId}`);
+    if (!baseline) return null;
+
+    return typeof baseline === 'string' ? JSON.parse(baseline) : baseline;
+  }
+
+  // The crawler takes over the reservation once the run starts. A run that is still queued
+  // after startTimeout (or whose job expired) is dropped and its credits are refunded.
+  async expireStalledRun(schedule, now) {
+    const pending = schedule.pendingRun;
+    if (!pending) return null;
+
+    const job = await this.jobQueue.getJob(pending.jobId);
+    if (job && job.state !== 'queued') {
+      return this.update(schedule.id, { pendingRun: null });
+    }
+    if (job && now - new Date(pending.queuedAt) < this.startTimeout) return null;
+
+    const error = 'Scheduled run was never started, reserved credits were refunded';
+    // A worker that claimed the job in the meantime owns the reservation now
+    if (job && !(await this.jobQueue.expireQueued(job.id, error))) return null;
+
+    await this.creditService.releaseReservation(pending.reservationId, false).catch(() => {});
+    return this.update(schedule.id, { pendingRun: null, lastError: error });
+  }
+
+  // Called when a scheduled job finishes: compare with the previous completed run and
+  // fire a regression event for new critical/high issues
+  async handleRunFinished(job) {
+    const schedule = await this.get(job.request.scheduleId);
+    if (!schedule) return null;
+
+    const pendingRun = schedule.pendingRun?.jobId === job.id ? null : schedule.pendingRun;
+    if (job.state !== 'completed') {
+      return this.update(schedule.id, { pendingRun, lastError: job.error || `Job ${job.state}` });
+    }
+
+    const previous = await this.getBaseline(schedule.id);
+    if (previous) {
+      const diff = this.crawlDiff.compare(previous, job.result);
+      const regressions = diff.issues.new.filter(issue => this.regressionSeverities.includes(issue.severity));
+
+      if (regressions.length > 0) {
+        await this.webhookService.notifyRegression({
+          scheduleId: schedule.id,
+          userId: schedule.userId,
+          url: schedule.url,
+          jobId: job.id,
+          previousJobId: previous.jobId,
+          issues: regressions,
+          healthScore: diff.healthScore.overall
+        }).catch(error => {
+          console.error(`Regression webhook for schedule ${schedule.id} failed:`, error.message);
+        });
+      }
+    }
+
+    const baseline = this.report.snapshot(job.result);
+    await this.redis.set(`${this.keys.baseline}:${schedule.id}`, JSON.stringify(baseline));
+    return this.update(schedule.id, { lastCompletedJobId: job.id, pendingRun, lastError: null });
+  }
+}
+
+module.exports = ScheduleService;
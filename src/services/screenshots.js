@@ -0,0 +1,184 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { validationError } = require('../utils/crawlOptions');
+
+// Default backend: PNG files on local disk, served back by GET /api/crawler/screenshots/<key>.
+// On serverless hosts only the temp directory is writable, so that's the default location.
+class LocalScreenshotStorage {
+  constructor(options = {}) {
+    this.directory = options.directory || process.env.SCREENSHOT_DIR || path.join(os.tmpdir(), 'crawler-screenshots');
+    this.baseUrl = options.baseUrl || process.env.SCREENSHOT_BASE_URL || '/api/crawler/screenshots';
+  }
+
+  // Returns the URL the image can be fetched from
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    return `${this.baseUrl}/${key}`;
+  }
+
+  async load(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Keys come from request paths when served back; never leave the screenshot directory
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+    if (!file.startsWith(path.resolve(this.directory) + path.sep)) {
+      throw validationError(`Invalid screenshot key: ${key}`);
+    }
+    return file;
+  }
+}
+
+// Issues that point at specific elements, and how to find those elements again on the page
+const ELEMENT_FINDERS = {
+  'Image missing alt text': async (page, issue) => {
+    const src = issue.details.replace(/^Add alt text to image: /, '');
+    const images = await page.$$('img:not([alt]), img[alt=""]');
+    const matching = [];
+
+    for (const image of images) {
+      if (await image.evaluate((el, value) => el.getAttribute('src') === value, src)) {
+        matching.push(image);
+      } else {
+        await image.dispose();
+      }
+    }
+    return matching;
+  },
+
+  // Same selection as the tap target rule, minus elements that aren't rendered at all
+  'Small tap targets': async (page) => {
+    const elements = await page.$$('a, button, input, select, textarea');
+    const small = [];
+
+    for (const element of elements) {
+      const isSmall = await element.evaluate(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0 && (rect.width < 48 || rect.height < 48);
+      });
+
+      if (isSmall) {
+        small.push(element);
+      } else {
+        await element.dispose();
+      }
+    }
+    return small;
+  }
+};
+
+// Page and element screenshots for browser crawls (options.screenshots)
+class ScreenshotService {
+  constructor(options = {}, storage = null) {
+    const settings = options.screenshots === true ? {} : options.screenshots || {};
+
+    this.enabled = Boolean(options.screenshots);
+    this.viewport = settings.viewport !== false;
+    this.fullPage = Boolean(settings.fullPage);
+    this.elements = settings.elements !== false;
+    this.storage = storage || (this.enabled ? ScreenshotService.createStorage() : null);
+
+    // Element crops taken per issue
+    this.maxCrops = Math.min(Math.max(parseInt(settings.maxCrops) || 3, 1), 10);
+  }
+
+  // Backend from SCREENSHOT_STORAGE (default "local"); others are added with registerStorage
+  static createStorage(name = process.env.SCREENSHOT_STORAGE || 'local') {
+    const Storage = ScreenshotService.storages[name];
+    if (!Storage) {
+      throw new Error(`Unknown screenshot storage "${name}"`);
+    }
+    return new Storage();
+  }
+
+  // A backend implements save(key, buffer, contentType) -> url, and optionally load(key) -> buffer
+  static registerStorage(name, Storage) {
+    ScreenshotService.storages[name] = Storage;
+  }
+
+  // Keys group a job's images by page: <jobId>/<url hash>/<device>-<name>.png
+  key(jobId, url, device, name) {
+    const pageId = crypto.createHash('sha1').update(url).digest('hex').slice(0, 16);
+    return `${jobId}/${pageId}/${device}-${name}.png`;
+  }
+
+  async store(key, buffer) {
+    return { key, url: await this.storage.save(key, buffer, 'image/png') };
+  }
+
+  // Viewport and/or full-page shots of the loaded page
+  async capturePage(page, jobId, url, device) {
+    const shots = [];
+    const kinds = [
+      ['viewport', this.viewport],
+      ['fullPage', this.fullPage]
+    ].filter(([, wanted]) => wanted);
+
+    for (const [kind] of kinds) {
+      try {
+        const buffer = await page.screenshot({ type: 'png', fullPage: kind === 'fullPage' });
+        shots.push({ type: kind, device, ...(await this.store(this.key(jobId, url, device, kind), buffer)) });
+      } catch (error) {
+        console.error(`Screenshot of ${url} (${device}, ${kind}) failed:`, error.message);
+      }
+    }
+
+    return shots;
+  }
+
+  // Crop the elements behind element-level issues; crops are attached to the issue as `screenshots`
+  async captureElements(page, jobId, url, device, issues) {
+    if (!this.elements) return issues;
+
+    const result = [];
+    for (const issue of issues) {
+      const find = ELEMENT_FINDERS[issue.message];
+      if (!find) {
+        result.push(issue);
+        continue;
+      }
+
+      const name = crypto.createHash('sha1').update(`${issue.message}|${issue.details}`).digest('hex').slice(0, 8);
+      const crops = [];
+      let elements = [];
+      try {
+        elements = await find(page, issue);
+        for (const element of elements) {
+          if (crops.length >= this.maxCrops) break;
+
+          const buffer = await element.screenshot({ type: 'png' }).catch(() => null);
+          if (!buffer) continue;
+
+          crops.push({
+            type: 'element',
+            device,
+            ...(await this.store(this.key(jobId, url, device, `${name}-${crops.length + 1}`), buffer))
+          });
+        }
+      } catch (error) {
+        console.error(`Element screenshots for "${issue.message}" on ${url} failed:`, error.message);
+      } finally {
+        await Promise.all(elements.map(element => element.dispose().catch(() => {})));
+      }
+
+      result.push(crops.length > 0 ? { ...issue, screenshots: crops } : issue);
+    }
+
+    return result;
+  }
+}
+
+ScreenshotService.storages = { local: LocalScreenshotStorage };
+
+module.exports = ScreenshotService;
@@ -1,5 +1,15 @@
+const cheerio = require('cheerio');
+const StructuredDataValidator = require('./structuredData');
+
+// Rules that need a rendered page (layout, runtime APIs) are skipped in static mode
+function browserOnly(rule) {
+  rule.requiresBrowser = true;
+  return rule;
+}
+
 class SEOValidator {
   constructor() {
+    this.structuredData = new StructuredDataValidator();
     this.rules = {
       critical: this.getCriticalRules(),
       high: this.getHighPriorityRules(),
@@ -8,7 +18,20 @@ class SEOValidator {
     };
   }
 
-  async validatePage(page, url) {
+  // `options.device` is the emulation profile the page was loaded with, if any
+  async validatePage(page, url, options = {}) {
+    return this.runRules(page, url, async () => ({
+      ...(await this.getPageContent(page)),
+      device: options.device || null
+    }));
+  }
+
+  // Static mode: validate server HTML without a browser, running only DOM-independent rules
+  async validateHtml(html, url) {
+    return this.runRules(null, url, () => this.getStaticContent(html, url));
+  }
+
+  async runRules(page, url, loadContent) {
     const issues = [];
     const metrics = {
       performance: {},
@@ -16,14 +39,18 @@ class SEOValidator {
       accessibility: {},
       technical: {}
     };
+    let content = null;
 
     try {
       // Get page content and metadata
-      const content = await this.getPageContent(page);
-      
+      content = await loadContent();
+      this.collectContentMetrics(content, metrics);
+
       // Run all validation rules
       for (const [severity, ruleSet] of Object.entries(this.rules)) {
         for (const rule of ruleSet) {
+          if (!page && rule.requiresBrowser) continue;
+
           const ruleIssues = await rule(page, content, metrics);
           if (ruleIssues && ruleIssues.length > 0) {
             issues.push(...ruleIssues.map(issue => ({
@@ -35,7 +62,7 @@ class SEOValidator {
         }
       }
 
-      return { issues, metrics };
+      return { issues, metrics, content };
     } catch (error) {
       console.error('Validation error:', error);
       issues.push({
@@ -44,12 +71,38 @@ class SEOValidator {
         message: 'Page validation failed: ' + error.message,
         url
       });
-      return { issues, metrics };
+      return { issues, metrics, content };
     }
   }
 
+  // Per-page measurements that don't depend on any rule firing
+  collectContentMetrics(content, metrics) {
+    const description = content.metaTags.find(tag => tag.name === 'description')?.content;
+    const internalLinks = content.links.filter(link => link.isInternal).length;
+
+    Object.assign(metrics.seo, {
+      titleLength: content.title ? content.title.length : 0,
+      metaDescriptionLength: description ? description.length : 0,
+      h1Count: content.headings.filter(heading => heading.level === 1).length,
+      wordCount: content.textContent.split(/\s+/).filter(Boolean).length,
+      internalLinks,
+      externalLinks: content.links.length - internalLinks
+    });
+    Object.assign(metrics.accessibility, {
+      images: content.images.length,
+      imagesWithoutAlt: content.images.filter(image => image.alt === null).length
+    });
+    Object.assign(metrics.technical, {
+      htmlSize: content.htmlSize,
+      insecureResources: content.insecureResources,
+      structuredDataBlocks: content.structuredData.length,
+      structuredDataItems: content.schema.items.length
+    });
+  }
+
   async getPageContent(page) {
     return {
+      url: page.url(),
       title: await page.title(),
       metaTags: await page.$$eval('meta', tags => 
         tags.map(tag => ({
@@ -61,7 +114,8 @@ class SEOValidator {
       headings: await page.$$eval('h1, h2, h3, h4, h5, h6', 
         headings => headings.map(h => ({
           level: parseInt(h.tagName.toLowerCase().replace('h', '')),
-          text: h.innerText.trim()
+          // textContent, like the static side: innerText applies CSS text-transform
+          text: h.textContent.replace(/\s+/g, ' ').trim()
         }))
       ),
       images: await page.$$eval('img', 
@@ -76,17 +130,117 @@ class SEOValidator {
         links => links.map(link => ({
           href: link.href,
           text: link.innerText.trim(),
-          isInternal: link.href.startsWith(window.location.origin)
+          isInternal: link.href.startsWith(window.location.origin),
+          nofollow: /(^|\s)nofollow(\s|$)/i.test(link.rel)
+        }))
+      ),
+      textContent: await page.$eval('body', body => body.innerText),
+      paragraphs: await page.$$eval('p', ps => ps.map(p => p.textContent.trim())),
+      canonicals: await page.$$eval('link[rel="canonical"]', els => els.map(el => el.href)),
+      // As written in the HTML, to catch relative and malformed values
+      canonicalHrefs: await page.$$eval('link[rel="canonical"]', els => els.map(el => el.getAttribute('href') || '')),
+      alternates: await page.$$eval('link[rel="alternate"][hreflang]', els =>
+        els.map(el => ({ hreflang: el.getAttribute('hreflang').trim(), href: el.href }))
+      ),
+      structuredData: await page.$$eval('script[type="application/ld+json"]', scripts =>
+        scripts.map(script => {
+          try {
+            return JSON.parse(script.textContent);
+          } catch {
+            return null;
+          }
+        }).filter(Boolean)
+      ),
+      // JSON-LD, Microdata and RDFa items, read from the rendered DOM
+      schema: this.structuredData.extract(cheerio.load(await page.content())),
+      insecureResources: await page.$$eval(
+        'link[href^="http:"], script[src^="http:"], img[src^="http:"]',
+        els => els.length
+      ),
+      resources: await page.$$eval('img[src], script[src], link[rel="stylesheet"][href]', els =>
+        els.map(el => ({
+          url: el.src || el.href,
+          type: { IMG: 'image', SCRIPT: 'script' }[el.tagName] || 'stylesheet'
         }))
       ),
-      textContent: await page.$eval('body', body => body.innerText)
+      anchorIds: await page.$$eval('[id], a[name]', els => els.map(el => el.id || el.getAttribute('name'))),
+      htmlSize: await page.evaluate(() => document.documentElement.outerHTML.length)
+    };
+  }
+
+  // Same shape as getPageContent, built from raw HTML with cheerio
+  getStaticContent(html, url) {
+    const $ = cheerio.load(html);
+    const origin = new URL(url).origin;
+    const resolve = href => {
+      try {
+        return href ? new URL(href, url).toString() : '';
+      } catch {
+        return '';
+      }
+    };
+
+    const body = $('body').clone();
+    body.find('script, style, noscript, template').remove();
+
+    return {
+      url,
+      // Collapsed like document.title, so both sides of a render diff agree
+      title: $('title').first().text().replace(/\s+/g, ' ').trim(),
+      metaTags: $('meta').map((i, tag) => ({
+        name: $(tag).attr('name') || null,
+        property: $(tag).attr('property') || null,
+        content: $(tag).attr('content') || null
+      })).get(),
+      headings: $('h1, h2, h3, h4, h5, h6').map((i, h) => ({
+        level: parseInt(h.tagName.toLowerCase().replace('h', '')),
+        text: $(h).text().replace(/\s+/g, ' ').trim()
+      })).get(),
+      images: $('img').map((i, img) => ({
+        src: $(img).attr('src') || null,
+        alt: $(img).attr('alt') ?? null,
+        width: $(img).attr('width') || null,
+        height: $(img).attr('height') || null
+      })).get(),
+      links: $('a').map((i, link) => {
+        const href = resolve($(link).attr('href'));
+        return {
+          href,
+          text: $(link).text().trim(),
+          isInternal: href.startsWith(origin),
+          nofollow: /(^|\s)nofollow(\s|$)/i.test($(link).attr('rel') || '')
+        };
+      }).get(),
+      textContent: body.text().trim(),
+      paragraphs: $('p').map((i, p) => $(p).text().trim()).get(),
+      canonicals: $('link[rel="canonical"]').map((i, el) => resolve($(el).attr('href'))).get(),
+      canonicalHrefs: $('link[rel="canonical"]').map((i, el) => $(el).attr('href') || '').get(),
+      alternates: $('link[rel="alternate"][hreflang]').map((i, el) => ({
+        hreflang: $(el).attr('hreflang').trim(),
+        href: resolve($(el).attr('href'))
+      })).get(),
+      structuredData: $('script[type="application/ld+json"]').map((i, script) => {
+        try {
+          return JSON.parse($(script).html());
+        } catch {
+          return null;
+        }
+      }).get().filter(Boolean),
+      schema: this.structuredData.extract($),
+      insecureResources: $('link[href^="http:"], script[src^="http:"], img[src^="http:"]').length,
+      resources: $('img[src], script[src], link[rel="stylesheet"][href]').map((i, el) => ({
+        url: resolve($(el).attr('src') || $(el).attr('href')),
+        type: { img: 'image', script: 'script' }[el.tagName.toLowerCase()] || 'stylesheet'
+      })).get(),
+      anchorIds: $('[id], a[name]').map((i, el) => $(el).attr('id') || $(el).attr('name')).get(),
+      htmlSize: html.length
     };
   }
 
   getCriticalRules() {
     return [
-      // Page Speed Analysis
-      async (page) => {
+      // Page Speed Analysis (Core Web Vitals, TTFB included, are measured by the crawler)
+      browserOnly(async (page, content, metrics) => {
         const performanceMetrics = await page.evaluate(() => {
           const timing = window.performance.timing;
           const loadTime = timing.loadEventEnd - timing.navigationStart;
@@ -95,6 +249,7 @@ class SEOValidator {
           
           return { loadTime, ttfb, fcp };
         });
+        Object.assign(metrics.performance, performanceMetrics);
 
         const issues = [];
         if (performanceMetrics.loadTime > 3000) {
@@ -105,19 +260,11 @@ class SEOValidator {
             metrics: performanceMetrics
           });
         }
-        if (performanceMetrics.ttfb > 600) {
-          issues.push({
-            type: 'performance',
-            message: 'High Time to First Byte (TTFB)',
-            details: 'Server response time needs improvement',
-            metrics: { ttfb: performanceMetrics.ttfb }
-          });
-        }
         return issues;
-      },
+      }),
 
-      // JavaScript Issues
-      async (page) => {
+      // JavaScript Issues (runtime errors are recorded by the crawler while the page loads)
+      browserOnly(async (page) => {
         const jsIssues = await page.evaluate(() => {
           const issues = [];
           
@@ -131,60 +278,48 @@ class SEOValidator {
             });
           }
 
-          // Check for JavaScript errors
-          const errors = window.performance.getEntriesByType('error');
-          if (errors.length > 0) {
-            issues.push({
-              type: 'technical',
-              message: 'JavaScript runtime errors detected',
-              details: errors.length + ' JavaScript errors found'
-            });
-          }
-
           return issues;
         });
 
         return jsIssues;
-      },
-      // Mobile Responsiveness
-      async (page) => {
-        const isMobile = await page.evaluate(() => {
-          return window.matchMedia('(max-width: 768px)').matches;
-        });
-        if (!isMobile) {
-          return [{
+      }),
+      // Mobile Responsiveness (only meaningful under a mobile emulation profile)
+      browserOnly(async (page, content) => {
+        if (!content.device?.viewport.isMobile) return;
+
+        const deviceWidth = content.device.viewport.width;
+        const layout = await page.evaluate(() => ({
+          layoutWidth: document.documentElement.clientWidth,
+          scrollWidth: document.documentElement.scrollWidth,
+          viewportMeta: document.querySelector('meta[name="viewport"]')?.getAttribute('content') || ''
+        }));
+
+        const issues = [];
+        if (layout.scrollWidth > layout.layoutWidth + 1) {
+          issues.push({
             type: 'technical',
             message: 'Page is not mobile responsive',
-            details: 'Implement responsive design for mobile devices'
-          }];
+            details: 'Content is ' + layout.scrollWidth + 'px wide on a ' + layout.layoutWidth +
+              'px ' + content.device.name + ' layout, causing horizontal scrolling'
+          });
         }
-      },
-
-      // Core Web Vitals
-      async (page) => {
-        const vitals = await page.evaluate(() => ({
-          cls: window.performance.getEntriesByType('layout-shift'),
-          lcp: window.performance.getEntriesByType('largest-contentful-paint'),
-          fid: window.performance.getEntriesByType('first-input')
-        }));
-        
-        const issues = [];
-        if (vitals.cls.length > 0 && vitals.cls[0].value > 0.1) {
+        if (!/width\s*=\s*device-width/i.test(layout.viewportMeta) || layout.layoutWidth !== deviceWidth) {
           issues.push({
-            type: 'performance',
-            message: 'Poor Cumulative Layout Shift (CLS)',
-            details: 'Layout shifts may affect user experience'
+            type: 'mobile',
+            message: 'Viewport width does not match the device',
+            details: 'Page lays out at ' + layout.layoutWidth + 'px instead of the ' + deviceWidth +
+              'px device width. Use <meta name="viewport" content="width=device-width, initial-scale=1">'
           });
         }
         return issues;
-      },
+      }),
 
       // HTTPS Security
-      async (page) => {
-        const security = await page.evaluate(() => ({
-          isHttps: window.location.protocol === 'https:',
-          hasMixedContent: document.querySelectorAll('link[href^="http:"], script[src^="http:"], img[src^="http:"]').length > 0
-        }));
+      async (page, content) => {
+        const security = {
+          isHttps: new URL(content.url).protocol === 'https:',
+          hasMixedContent: content.insecureResources > 0
+        };
 
         const issues = [];
         if (!security.isHttps) {
@@ -213,7 +348,7 @@ class SEOValidator {
         const issues = [];
         
         // Check robots.txt
-        const robotsTxt = await fetch(new URL('/robots.txt', page.url())).catch(() => null);
+        const robotsTxt = await fetch(new URL('/robots.txt', content.url)).catch(() => null);
         if (!robotsTxt) {
           issues.push({
             type: 'technical',
@@ -223,7 +358,7 @@ class SEOValidator {
         }
 
         // Check sitemap
-        const sitemapXml = await fetch(new URL('/sitemap.xml', page.url())).catch(() => null);
+        const sitemapXml = await fetch(new URL('/sitemap.xml', content.url)).catch(() => null);
         if (!sitemapXml) {
           issues.push({
             type: 'technical',
@@ -233,7 +368,7 @@ class SEOValidator {
         }
 
         // Check for canonical tags
-        const canonical = await page.$eval('link[rel="canonical"]', el => el.href).catch(() => null);
+        const canonical = content.canonicals[0];
         if (!canonical) {
           issues.push({
             type: 'seo',
@@ -245,48 +380,6 @@ class SEOValidator {
         return issues;
       },
 
-      // Structured Data & Schema Markup
-      async (page) => {
-        const schemas = await page.evaluate(() => {
-          const scripts = document.querySelectorAll('script[type="application/ld+json"]');
-          return Array.from(scripts).map(script => {
-            try {
-              return JSON.parse(script.textContent);
-            } catch {
-              return null;
-            }
-          }).filter(Boolean);
-        });
-
-        const issues = [];
-        if (schemas.length === 0) {
-          issues.push({
-            type: 'seo',
-            message: 'Missing structured data',
-            details: 'Add relevant schema markup for rich snippets'
-          });
-        } else {
-          // Validate common schema types
-          const hasOrganization = schemas.some(s => s['@type'] === 'Organization');
-          const hasBreadcrumbs = schemas.some(s => s['@type'] === 'BreadcrumbList');
-          
-          if (!hasOrganization) {
-            issues.push({
-              type: 'seo',
-              message: 'Missing Organization schema',
-              details: 'Add Organization schema for better brand presence'
-            });
-          }
-          if (!hasBreadcrumbs) {
-            issues.push({
-              type: 'seo',
-              message: 'Missing BreadcrumbList schema',
-              details: 'Add breadcrumb markup for better navigation structure'
-            });
-          }
-        }
-        return issues;
-      },
       // Title Tag Optimization
       async (page, content) => {
         const issues = [];
@@ -360,7 +453,7 @@ class SEOValidator {
         
         // Content quality checks
         const wordCount = content.textContent.split(/\\s+/).length;
-        const paragraphs = await page.$$eval('p', ps => ps.map(p => p.textContent.trim()));
+        const paragraphs = content.paragraphs;
         const headings = content.headings;
         
         // Check content structure
@@ -373,7 +466,7 @@ class SEOValidator {
         }
 
         // Check content-to-HTML ratio
-        const htmlSize = await page.evaluate(() => document.documentElement.outerHTML.length);
+        const htmlSize = content.htmlSize;
         const textSize = content.textContent.length;
         const contentRatio = textSize / htmlSize;
         
@@ -401,19 +494,23 @@ class SEOValidator {
         return issues;
       },
 
-      // User Experience & Mobile-friendly
-      async (page) => {
-        const issues = [];
-        
-        // Check viewport configuration
-        const hasViewport = await page.$eval('meta[name="viewport"]', () => true).catch(() => false);
+      // Viewport configuration
+      async (page, content) => {
+        const hasViewport = content.metaTags.some(tag => tag.name === 'viewport');
         if (!hasViewport) {
-          issues.push({
+          return [{
             type: 'mobile',
             message: 'Missing viewport meta tag',
             details: 'Add viewport meta tag for proper mobile rendering'
-          });
+          }];
         }
+      },
+
+      // User Experience & Mobile-friendly (tap targets and font sizes only matter on mobile profiles)
+      browserOnly(async (page, content) => {
+        if (!content.device?.viewport.isMobile) return;
+
+        const issues = [];
 
         // Check tap targets
         const smallTapTargets = await page.evaluate(() => {
@@ -450,7 +547,7 @@ class SEOValidator {
         }
 
         return issues;
-      },
+      }),
 
       // Keyword Analysis
       async (page, content) => {
@@ -475,7 +572,8 @@ class SEOValidator {
               issues.push({
                 type: 'content',
                 message: 'Keyword stuffing detected',
-                details: 'Keyword "' + word + '" appears too frequently (' + density.toFixed(1) + '%)'
+                details: 'Keyword "' + word + '" appears too frequently (' + density.toFixed(1) + '%)',
+                subject: word
               });
             }
           });
@@ -499,7 +597,8 @@ class SEOValidator {
             issues.push({
               type: 'seo',
               message: 'Main keyword not in key elements',
-              details: 'Consider adding "' + keyword + '" to title, description, or H1'
+              details: 'Consider adding "' + keyword + '" to title, description, or H1',
+              subject: keyword
             });
           }
         });
@@ -514,14 +613,16 @@ class SEOValidator {
             issues.push({
               type: 'accessibility',
               message: 'Image missing alt text',
-              details: 'Add alt text to image: ' + img.src
+              details: 'Add alt text to image: ' + img.src,
+              resourceUrl: img.src
             });
           }
           if (!img.width || !img.height) {
             issues.push({
               type: 'performance',
               message: 'Image missing dimensions',
-              details: 'Add width and height attributes to prevent layout shift: ' + img.src
+              details: 'Add width and height attributes to prevent layout shift: ' + img.src,
+              resourceUrl: img.src
             });
           }
         }
@@ -578,7 +679,7 @@ class SEOValidator {
 
       // URL Structure
       async (page, content) => {
-        const url = await page.url();
+        const url = content.url;
         if (url.includes('?') || url.includes('#') || /[A-Z]/.test(url)) {
           return [{
             type: 'seo',
@@ -586,21 +687,6 @@ class SEOValidator {
             details: 'Use clean, lowercase URLs without parameters'
           }];
         }
-      },
-
-      // Schema Markup
-      async (page) => {
-        const hasSchema = await page.evaluate(() => {
-          return document.querySelector('script[type="application/ld+json"]') !== null;
-        });
-        
-        if (!hasSchema) {
-          return [{
-            type: 'seo',
-            message: 'Missing schema markup',
-            details: 'Add relevant schema markup for rich snippets'
-          }];
-        }
       }
     ];
   }
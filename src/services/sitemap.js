@@ -0,0 +1,195 @@
+const zlib = require('zlib');
+
+class SitemapService {
+  constructor(options = {}) {
+    this.userAgent = options.userAgent;
+    this.auth = options.auth || null;
+    this.maxSitemaps = options.maxSitemaps || 50;
+    this.maxUrls = options.maxUrls || 50000;
+    this.timeout = 15000;
+
+    // Protocol limits per sitemap file: 50,000 URLs and 50 MB uncompressed. Larger files are
+    // invalid for search engines, and are never downloaded or decompressed past the limit.
+    this.maxUrlsPerSitemap = 50000;
+    this.maxBytes = 50 * 1024 * 1024;
+  }
+
+  // Sitemaps listed in robots.txt plus the conventional /sitemap.xml location
+  async discover(startUrl, robots) {
+    const listed = robots ? await robots.getSitemaps(startUrl) : [];
+    const defaultUrl = new URL('/sitemap.xml', startUrl).toString();
+
+    return [...new Set([...listed, defaultUrl])];
+  }
+
+  // Walk sitemap indexes breadth-first and collect every page entry
+  async collect(startUrl, robots) {
+    const queue = await this.discover(startUrl, robots);
+    const seen = new Set(queue);
+    const sitemaps = [];
+    const errors = [];
+    const entries = new Map();
+
+    while (queue.length > 0 && sitemaps.length < this.maxSitemaps && entries.size < this.maxUrls) {
+      const sitemapUrl = queue.shift();
+
+      let xml;
+      try {
+        xml = await this.fetchSitemap(sitemapUrl);
+      } catch (error) {
+        errors.push({ url: sitemapUrl, error: error.message });
+        continue;
+      }
+
+      // The default location is only a guess, so a missing file there is not an error
+      if (xml === null) continue;
+
+      const parsed = this.parse(xml, this.maxUrlsPerSitemap + 1);
+      if (parsed.entries.length > this.maxUrlsPerSitemap) {
+        parsed.entries.length = this.maxUrlsPerSitemap;
+        errors.push({
+          url: sitemapUrl,
+          error: `Sitemap lists more than ${this.maxUrlsPerSitemap} URLs, only the first ${this.maxUrlsPerSitemap} were used`
+        });
+      }
+      sitemaps.push({ url: sitemapUrl, type: parsed.type, entries: parsed.entries.length });
+
+      for (const entry of parsed.entries) {
+        if (parsed.type === 'index') {
+          if (!seen.has(entry.loc)) {
+            seen.add(entry.loc);
+            queue.push(entry.loc);
+          }
+        } else if (!entries.has(entry.loc) && entries.size < this.maxUrls) {
+          entries.set(entry.loc, { ...entry, sitemap: sitemapUrl });
+        }
+      }
+    }
+
+    return {
+      sitemaps,
+      errors,
+      entries: [...entries.values()]
+    };
+  }
+
+  async fetchSitemap(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, {
+        headers: {
+          ...(this.userAgent ? { 'User-Agent': this.userAgent } : {}),
+          ...this.auth?.headersFor(url)
+        },
+        signal: controller.signal
+      });
+
+      if (response.status === 404 && url.endsWith('/sitemap.xml')) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`Sitemap responded with status ${response.status}`);
+      }
+
+      // fetch decodes Content-Encoding: gzip, but .xml.gz files are served as raw gzip bytes
+      let body = await this.readBody(response);
+      if (body[0] === 0x1f && body[1] === 0x8b) {
+        try {
+          body = zlib.gunzipSync(body, { maxOutputLength: this.maxBytes });
+        } catch (error) {
+          throw error.code === 'ERR_BUFFER_TOO_LARGE' ? this.tooLargeError() : error;
+        }
+      }
+
+      return body.toString('utf8');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // The body, read until maxBytes at most
+  async readBody(response) {
+    if (parseInt(response.headers.get('content-length')) > this.maxBytes) {
+      await response.body?.cancel().catch(() => {});
+      throw this.tooLargeError();
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+      size += chunk.length;
+      if (size > this.maxBytes) {
+        throw this.tooLargeError();
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  tooLargeError() {
+    return new Error(`Sitemap is larger than ${this.maxBytes / 1024 / 1024} MB`);
+  }
+
+  // Stops after `limit` entries
+  parse(xml, limit = Infinity) {
+    const isIndex = /<(?:[\w-]+:)?sitemapindex[\s>]/i.test(xml);
+    const blockTag = isIndex ? 'sitemap' : 'url';
+    const blockPattern = new RegExp(`<(?:[\\w-]+:)?${blockTag}[\\s>]([\\s\\S]*?)<\\/(?:[\\w-]+:)?${blockTag}>`, 'gi');
+    const entries = [];
+
+    let match;
+    while (entries.length < limit && (match = blockPattern.exec(xml))) {
+      const block = match[1];
+      const loc = this.getTagValue(block, 'loc');
+      if (!loc) continue;
+
+      const alternates = this.getAlternates(block);
+      entries.push({
+        loc,
+        lastmod: this.getTagValue(block, 'lastmod'),
+        ...(alternates.length > 0 && { alternates })
+      });
+    }
+
+    return {
+      type: isIndex ? 'index' : 'urlset',
+      entries
+    };
+  }
+
+  // <xhtml:link rel="alternate" hreflang="fr" href="..."/> annotations of a <url> entry
+  getAlternates(block) {
+    const alternates = [];
+    for (const [tag] of block.matchAll(/<(?:[\w-]+:)?link\s[^>]*>/gi)) {
+      const attribute = name => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+      const hreflang = attribute('hreflang');
+      const href = attribute('href');
+
+      if (/alternate/i.test(attribute('rel') || '') && hreflang && href) {
+        alternates.push({ hreflang: hreflang.trim(), href: this.decodeEntities(href.trim()) });
+      }
+    }
+    return alternates;
+  }
+
+  getTagValue(block, tag) {
+    const match = block.match(new RegExp(`<(?:[\\w-]+:)?${tag}>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}>`, 'i'));
+    if (!match) return null;
+
+    return this.decodeEntities(match[1].replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim());
+  }
+
+  decodeEntities(value) {
+    return value
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
+
+module.exports = SitemapService;
@@ -0,0 +1,293 @@
+// Required and recommended properties per schema.org type, after Google's rich result docs.
+// A required entry that is an array is satisfied by any one of its properties.
+const TYPES = {
+  Product: {
+    richResult: 'Product snippet',
+    required: ['name', ['offers', 'review', 'aggregateRating']],
+    recommended: ['image', 'description', 'brand', 'sku']
+  },
+  Offer: {
+    required: [['price', 'priceSpecification'], ['priceCurrency', 'priceSpecification']],
+    recommended: ['availability', 'url']
+  },
+  AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'] },
+  AggregateRating: { required: ['ratingValue', ['ratingCount', 'reviewCount']], recommended: ['bestRating'] },
+  Article: {
+    richResult: 'Article',
+    required: ['headline'],
+    recommended: ['image', 'author', 'datePublished', 'dateModified']
+  },
+  FAQPage: { richResult: 'FAQ', required: ['mainEntity'], recommended: [] },
+  Question: { required: ['name', 'acceptedAnswer'], recommended: [] },
+  Answer: { required: ['text'], recommended: [] },
+  HowTo: { richResult: 'How-to', required: ['name', 'step'], recommended: ['image', 'totalTime', 'supply', 'tool'] },
+  HowToStep: { required: [['text', 'itemListElement']], recommended: ['name', 'image', 'url'] },
+  LocalBusiness: {
+    richResult: 'Local business',
+    required: ['name', 'address'],
+    recommended: ['telephone', 'openingHoursSpecification', 'geo', 'url', 'priceRange', 'image']
+  },
+  Event: {
+    richResult: 'Event',
+    required: ['name', 'startDate', 'location'],
+    recommended: ['endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'description', 'offers', 'organizer', 'performer']
+  },
+  BreadcrumbList: { richResult: 'Breadcrumb', required: ['itemListElement'], recommended: [] },
+  ListItem: { required: ['position', ['name', 'item']], recommended: [] },
+  Organization: { required: ['name'], recommended: ['url', 'logo', 'sameAs'] }
+};
+
+// Common subtypes validated like their parent type
+const ALIASES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  TechArticle: 'Article',
+  Restaurant: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  MedicalClinic: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  AutoRepair: 'LocalBusiness',
+  RealEstateAgent: 'LocalBusiness',
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  EducationalOrganization: 'Organization',
+  ProductGroup: 'Product'
+};
+
+const SCHEMA_PREFIX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+
+// Extracts JSON-LD, Microdata and RDFa into one item shape and validates it against TYPES.
+// Items are { format, types, properties } with every property holding an array of values,
+// each either a string or a nested item.
+class StructuredDataValidator {
+  constructor() {
+    // Items reported as issues per page; the page result lists all of them
+    this.maxItems = 20;
+  }
+
+  // `$` is a cheerio document, of the server HTML or the rendered DOM
+  extract($) {
+    const items = [];
+    const invalidBlocks = [];
+
+    $('script[type="application/ld+json"]').each((i, script) => {
+      try {
+        items.push(...this.fromJsonLd(JSON.parse($(script).html())));
+      } catch (error) {
+        invalidBlocks.push(error.message);
+      }
+    });
+    $('[itemscope]').not('[itemprop]').each((i, element) => {
+      items.push(this.fromMicrodata($, element));
+    });
+    $('[typeof]').not('[property]').each((i, element) => {
+      items.push(this.fromRdfa($, element));
+    });
+
+    // Untyped wrappers (a bare @context, itemscope without itemtype) aren't items of their own
+    return { items: items.filter(item => item.types.length > 0), invalidBlocks };
+  }
+
+  typesOf(values) {
+    return [].concat(values || [])
+      .map(type => String(type).trim().replace(SCHEMA_PREFIX, ''))
+      .filter(Boolean);
+  }
+
+  // Top-level nodes and @graph members are items; { "@id" } references are resolved within the block
+  fromJsonLd(data) {
+    const nodes = [].concat(data)
+      .flatMap(node => (node && node['@graph'] ? [].concat(node['@graph']) : [node]))
+      .filter(node => node && typeof node === 'object');
+    const ids = new Map(nodes.filter(node => node['@id']).map(node => [node['@id'], node]));
+
+    const convert = (value, seen) => {
+      if (value === null || typeof value !== 'object') return value === null ? '' : String(value);
+      if (Array.isArray(value)) return value.map(entry => convert(entry, seen));
+      if ('@value' in value) return convert(value['@value'], seen);
+
+      const keys = Object.keys(value);
+      if (keys.length === 1 && keys[0] === '@id') {
+        const target = ids.get(value['@id']);
+        return target && !seen.has(target) ? convert(target, new Set([...seen, target])) : value['@id'];
+      }
+
+      const properties = {};
+      for (const [key, entry] of Object.entries(value)) {
+        if (key.startsWith('@')) continue;
+        properties[key.replace(SCHEMA_PREFIX, '')] = [].concat(convert(entry, seen)).flat(Infinity);
+      }
+      return { format: 'json-ld', types: this.typesOf(value['@type']), properties };
+    };
+
+    return nodes.map(node => convert(node, new Set([node])));
+  }
+
+  fromMicrodata($, element) {
+    const properties = {};
+    $(element).find('[itemprop]').each((i, prop) => {
+      // Properties of nested items belong to those items
+      if ($(prop).parent().closest('[itemscope]')[0] !== element) return;
+
+      const value = $(prop).is('[itemscope]') ? this.fromMicrodata($, prop) : this.attributeValue($(prop), 'microdata');
+      for (const name of ($(prop).attr('itemprop') || '').split(/\s+/).filter(Boolean)) {
+        (properties[name] = properties[name] || []).push(value);
+      }
+    });
+
+    return {
+      format: 'microdata',
+      types: this.typesOf(($(element).attr('itemtype') || '').split(/\s+/).map(type => type.split('/').pop())),
+      properties
+    };
+  }
+
+  fromRdfa($, element) {
+    const properties = {};
+    $(element).find('[property]').each((i, prop) => {
+      if ($(prop).parent().closest('[typeof]')[0] !== element) return;
+
+      const value = $(prop).is('[typeof]') ? this.fromRdfa($, prop) : this.attributeValue($(prop), 'rdfa');
+      for (const name of ($(prop).attr('property') || '').split(/\s+/).filter(Boolean)) {
+        const key = name.replace(SCHEMA_PREFIX, '');
+        (properties[key] = properties[key] || []).push(value);
+      }
+    });
+
+    return { format: 'rdfa', types: this.typesOf(($(element).attr('typeof') || '').split(/\s+/)), properties };
+  }
+
+  // Property values come from attributes for links, media and machine-readable elements
+  attributeValue($element, format) {
+    const tag = $element[0].tagName.toLowerCase();
+    const attribute = name => $element.attr(name);
+
+    if (attribute('content') !== undefined) return attribute('content');
+    if (format === 'rdfa' && attribute('resource') !== undefined) return attribute('resource');
+    if (['a', 'link', 'area'].includes(tag)) return attribute('href') || '';
+    if (['img', 'audio', 'video', 'source', 'iframe', 'embed', 'track'].includes(tag)) return attribute('src') || '';
+    if (tag === 'time' && attribute('datetime')) return attribute('datetime');
+    if (['data', 'meter'].includes(tag)) return attribute('value') || '';
+    return $element.text().replace(/\s+/g, ' ').trim();
+  }
+
+  definitionFor(type) {
+    return TYPES[ALIASES[type] || type] || null;
+  }
+
+  has(item, name) {
+    return (item.properties[name] || []).some(value => (typeof value === 'string' ? value.trim() !== '' : Boolean(value)));
+  }
+
+  // Per-property errors (missing required) and warnings (missing recommended), nested items included
+  validateItem(item, path = '') {
+    const errors = [];
+    const warnings = [];
+
+    for (const type of item.types) {
+      const definition = this.definitionFor(type);
+      if (!definition) continue;
+
+      for (const rule of definition.required) {
+        const names = [].concat(rule);
+        if (names.some(name => this.has(item, name))) continue;
+        errors.push(names.length > 1
+          ? `one of ${names.map(name => path + name).join(', ')} is required`
+          : `${path}${names[0]} is required`);
+      }
+      for (const name of definition.recommended) {
+        if (!this.has(item, name)) warnings.push(`${path}${name} is recommended`);
+      }
+    }
+
+    for (const [name, values] of Object.entries(item.properties)) {
+      values.forEach((value, index) => {
+        if (!value || typeof value !== 'object') return;
+
+        const nested = this.validateItem(value, `${path}${name}${values.length > 1 ? `[${index}]` : ''}.`);
+        errors.push(...nested.errors);
+        warnings.push(...nested.warnings);
+      });
+    }
+
+    return { errors: [...new Set(errors)], warnings: [...new Set(warnings)] };
+  }
+
+  // Page result: every item with its problems, and the rich results the valid ones qualify for
+  analyze(schema) {
+    const items = schema.items.map(item => ({
+      format: item.format,
+      type: item.types.join(', ') || null,
+      ...this.validateItem(item)
+    }));
+
+    const richResults = [];
+    schema.items.forEach((item, index) => {
+      for (const type of item.types) {
+        const richResult = this.definitionFor(type)?.richResult;
+        if (!richResult) continue;
+
+        // Eligible when any item for the rich result is valid
+        const eligible = items[index].errors.length === 0;
+        const existing = richResults.find(result => result.type === richResult);
+        if (existing) {
+          if (eligible && !existing.eligible) Object.assign(existing, { schemaType: type, format: item.format, eligible });
+        } else {
+          richResults.push({ type: richResult, schemaType: type, format: item.format, eligible });
+        }
+      }
+    });
+
+    return { items, richResults, invalidBlocks: schema.invalidBlocks };
+  }
+
+  toIssues(url, analysis) {
+    const issues = analysis.invalidBlocks.map((error, index) => ({
+      type: 'seo',
+      severity: 'high',
+      message: 'Invalid JSON-LD',
+      details: `A JSON-LD block could not be parsed and is ignored by search engines: ${error}`,
+      subject: `block ${index + 1}`
+    }));
+
+    if (analysis.items.length === 0 && issues.length === 0) {
+      issues.push({
+        type: 'seo',
+        severity: 'low',
+        message: 'Missing structured data',
+        details: 'Add relevant schema markup (JSON-LD, Microdata or RDFa) for rich results'
+      });
+    }
+
+    // Items of the same type are told apart by format and position on the page
+    analysis.items.slice(0, this.maxItems).forEach((item, index) => {
+      const subject = `${item.format} item ${index + 1}`;
+      if (item.errors.length > 0) {
+        issues.push({
+          type: 'seo',
+          severity: 'high',
+          message: `Invalid ${item.type} structured data`,
+          details: `${item.format}: ${item.errors.join('; ')}`,
+          subject
+        });
+      }
+      if (item.warnings.length > 0) {
+        issues.push({
+          type: 'seo',
+          severity: 'low',
+          message: `${item.type} structured data missing recommended properties`,
+          details: `${item.format}: ${item.warnings.join('; ')}`,
+          subject
+        });
+      }
+    });
+
+    return issues.map(issue => ({ ...issue, url }));
+  }
+}
+
+StructuredDataValidator.types = TYPES;
+
+module.exports = StructuredDataValidator;
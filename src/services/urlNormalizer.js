@@ -0,0 +1,95 @@
+// Query parameters that only track where a visit came from and never change the page
+const TRACKING_PARAMS = [
+  'gclid', 'gclsrc', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid',
+  'igshid', 'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src'
+];
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'hsa_'];
+
+class UrlNormalizer {
+  constructor(options = {}) {
+    this.stripFragments = options.stripFragments !== false;
+    this.stripTrackingParams = options.stripTrackingParams !== false;
+    this.sortQueryParams = options.sortQueryParams !== false;
+    this.trackingParams = new Set([
+      ...TRACKING_PARAMS,
+      ...[].concat(options.trackingParams || []).map(param => String(param).toLowerCase())
+    ]);
+
+    // "strip" turns /page/ into /page, "add" does the opposite, "keep" leaves paths alone
+    this.trailingSlash = options.trailingSlash || 'strip';
+    if (!UrlNormalizer.trailingSlashModes.includes(this.trailingSlash)) {
+      throw this.validationError(
+        `Invalid trailingSlash "${this.trailingSlash}". Use one of: ${UrlNormalizer.trailingSlashModes.join(', ')}`
+      );
+    }
+  }
+
+  // Canonical form used to deduplicate URLs; returns null for anything that isn't a URL.
+  // Parsing already lowercases the scheme and host and drops default ports.
+  normalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    if (this.stripFragments) {
+      parsed.hash = '';
+    }
+
+    if (this.stripTrackingParams || this.sortQueryParams) {
+      const params = [...parsed.searchParams].filter(([name]) => !this.isTrackingParam(name));
+      if (this.sortQueryParams) {
+        params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+      }
+      parsed.search = new URLSearchParams(params).toString();
+    }
+
+    parsed.pathname = this.normalizePath(parsed.pathname);
+
+    return parsed.toString();
+  }
+
+  normalizePath(pathname) {
+    if (pathname === '/') return pathname;
+
+    if (this.trailingSlash === 'strip') {
+      return pathname.replace(/\/+$/, '') || '/';
+    }
+    // Paths that look like files (/feed.xml) don't get a slash appended
+    if (this.trailingSlash === 'add' && !pathname.endsWith('/') && !/\.[a-z0-9]+$/i.test(pathname)) {
+      return pathname + '/';
+    }
+
+    return pathname;
+  }
+
+  isTrackingParam(name) {
+    if (!this.stripTrackingParams) return false;
+
+    const lower = name.toLowerCase();
+    return this.trackingParams.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+  }
+
+  // The URL as linked, minus the fragment, which is what actually gets requested
+  stripFragment(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.toString();
+    } catch {
+      return url;
+    }
+  }
+
+  validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+}
+
+UrlNormalizer.trailingSlashModes = ['strip', 'add', 'keep'];
+
+module.exports = UrlNormalizer;
@@ -0,0 +1,203 @@
+// CDP throttling presets, matching the Lighthouse/DevTools lab settings.
+// Throughput is in bytes per second, latency in milliseconds.
+const THROTTLING_PRESETS = {
+  'slow-4g-mobile': {
+    label: 'Slow 4G mobile',
+    cpuSlowdown: 4,
+    latency: 562.5,
+    downloadThroughput: Math.round(1474.56 * 1024 / 8),
+    uploadThroughput: Math.round(675 * 1024 / 8)
+  },
+  'desktop-cable': {
+    label: 'Desktop cable',
+    cpuSlowdown: 1,
+    latency: 40,
+    downloadThroughput: Math.round(10 * 1024 * 1024 / 8),
+    uploadThroughput: Math.round(10 * 1024 * 1024 / 8)
+  }
+};
+
+// Google's good / needs-improvement / poor boundaries: [good up to, poor above].
+// TBT is the lab stand-in for INP and uses the Lighthouse bands.
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  tbt: [200, 600],
+  fcp: [1800, 3000],
+  ttfb: [800, 1800]
+};
+
+const METRIC_NAMES = {
+  lcp: 'Largest Contentful Paint (LCP)',
+  cls: 'Cumulative Layout Shift (CLS)',
+  tbt: 'Total Blocking Time (TBT)',
+  fcp: 'First Contentful Paint (FCP)',
+  ttfb: 'Time to First Byte (TTFB)'
+};
+
+// Installed before navigation. Buffered observers also see entries recorded before they were
+// created, so nothing between navigation start and collection is missed.
+function installObservers() {
+  if (window !== window.top) return;
+
+  const vitals = { lcp: null, fcp: null, cls: 0, longTasks: [] };
+  window.__crawlerVitals = vitals;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('paint', entry => {
+    if (entry.name === 'first-contentful-paint') vitals.fcp = entry.startTime;
+  });
+  observe('largest-contentful-paint', entry => {
+    vitals.lcp = entry.startTime;
+  });
+  observe('longtask', entry => {
+    vitals.longTasks.push([entry.startTime, entry.duration]);
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, at most 5s in total
+  let session = { value: 0, first: 0, last: 0 };
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) return;
+
+    if (session.value > 0 && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+      session.value += entry.value;
+      session.last = entry.startTime;
+    } else {
+      session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+    }
+    vitals.cls = Math.max(vitals.cls, session.value);
+  });
+}
+
+// Lab measurement of LCP, CLS, TBT, FCP and TTFB, optionally under CPU and network throttling
+class WebVitals {
+  constructor(options = {}) {
+    // A preset name, "auto" (mobile preset for mobile profiles, cable for desktop) or "none"
+    this.throttling = options.throttling || 'none';
+  }
+
+  presetFor(profile) {
+    if (this.throttling === 'none') return null;
+    if (this.throttling === 'auto') {
+      return profile?.viewport?.isMobile ? 'slow-4g-mobile' : 'desktop-cable';
+    }
+    return this.throttling;
+  }
+
+  // Call before page.goto; collect() after the load, then stop() to restore the pooled page
+  async prepare(page, profile) {
+    const preset = this.presetFor(profile);
+    const settings = preset ? THROTTLING_PRESETS[preset] : null;
+    const { identifier } = await page.evaluateOnNewDocument(installObservers);
+
+    let session = null;
+    if (settings) {
+      session = await page.target().createCDPSession();
+      await session.send('Network.enable');
+      await session.send('Network.emulateNetworkConditions', {
+        offline: false,
+        latency: settings.latency,
+        downloadThroughput: settings.downloadThroughput,
+        uploadThroughput: settings.uploadThroughput
+      });
+      await session.send('Emulation.setCPUThrottlingRate', { rate: settings.cpuSlowdown });
+    }
+
+    let stopped = false;
+    return {
+      preset,
+      collect: () => this.collect(page, preset),
+      stop: async () => {
+        if (stopped) return;
+        stopped = true;
+
+        await page.removeScriptToEvaluateOnNewDocument(identifier).catch(() => {});
+        if (session) {
+          await session.send('Emulation.setCPUThrottlingRate', { rate: 1 }).catch(() => {});
+          await session.send('Network.emulateNetworkConditions', {
+            offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1
+          }).catch(() => {});
+          await session.detach().catch(() => {});
+        }
+      }
+    };
+  }
+
+  // { throttling, lcp: { value, rating }, ... }; metrics the browser didn't report are left out
+  async collect(page, preset) {
+    const raw = await page.evaluate(() => {
+      const vitals = window.__crawlerVitals;
+      if (!vitals) return null;
+
+      const navigation = performance.getEntriesByType('navigation')[0];
+      // Only long tasks after the first paint block a user who can see the page
+      const tbt = vitals.fcp === null ? null : vitals.longTasks
+        .filter(([start]) => start >= vitals.fcp)
+        .reduce((sum, [, duration]) => sum + Math.max(0, duration - 50), 0);
+
+      return {
+        lcp: vitals.lcp,
+        cls: vitals.cls,
+        tbt,
+        fcp: vitals.fcp,
+        ttfb: navigation ? navigation.responseStart - (navigation.activationStart || 0) : null
+      };
+    });
+
+    const result = { throttling: preset };
+    for (const metric of Object.keys(THRESHOLDS)) {
+      const value = raw?.[metric];
+      if (typeof value !== 'number' || !Number.isFinite(value)) continue;
+
+      const rounded = metric === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+      result[metric] = { value: rounded, rating: WebVitals.rate(metric, rounded) };
+    }
+    return result;
+  }
+
+  static rate(metric, value) {
+    const [good, poor] = THRESHOLDS[metric];
+    if (value <= good) return 'good';
+    return value > poor ? 'poor' : 'needs-improvement';
+  }
+
+  // Plain values for the page's performance metrics
+  toMetrics(vitals) {
+    return Object.fromEntries(
+      Object.keys(THRESHOLDS).filter(metric => vitals[metric]).map(metric => [metric, vitals[metric].value])
+    );
+  }
+
+  toIssues(url, vitals) {
+    const conditions = vitals.throttling ? ` (${THROTTLING_PRESETS[vitals.throttling].label})` : '';
+
+    return Object.keys(THRESHOLDS)
+      .filter(metric => vitals[metric] && vitals[metric].rating !== 'good')
+      .map(metric => {
+        const { value, rating } = vitals[metric];
+        const [good, poor] = THRESHOLDS[metric];
+        const format = number => (metric === 'cls' ? String(number) : `${number}ms`);
+
+        return {
+          type: 'performance',
+          severity: rating === 'poor' ? 'high' : 'medium',
+          message: rating === 'poor' ? `Poor ${METRIC_NAMES[metric]}` : `${METRIC_NAMES[metric]} needs improvement`,
+          details: `${METRIC_NAMES[metric]} is ${format(value)}${conditions}. ` +
+            `Good: <= ${format(good)}, poor: > ${format(poor)}`,
+          url
+        };
+      });
+  }
+}
+
+WebVitals.presets = THROTTLING_PRESETS;
+WebVitals.thresholds = THRESHOLDS;
+
+module.exports = WebVitals;
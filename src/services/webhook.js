@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const CrawlReport = require('./crawlReport');
 
 class WebhookService {
   constructor() {
@@ -6,6 +7,7 @@ class WebhookService {
     this.webhookUrl = process.env.LOVABLE_WEBHOOK_URL || 'https://xyscwvumxxxadchraqys.supabase.co/functions/v1/crawler-webhook';
     this.maxRetries = 3;
     this.timeout = 10000;
+    this.report = new CrawlReport();
   }
 
   generateSignature(payload) {
@@ -46,13 +48,18 @@ class WebhookService {
   }
 
   async notifyCrawlComplete(crawlResult) {
+    const issues = this.report.allIssues(crawlResult);
     const payload = {
       jobId: crawlResult.jobId,
       status: crawlResult.status,
       url: crawlResult.url,
-      healthScore: this.calculateHealthScore(crawlResult.issues),
-      issues: this.categorizeIssues(crawlResult.issues),
-      categories: this.aggregateCategories(crawlResult.issues),
+      healthScore: this.calculateHealthScore(issues),
+      issues: this.categorizeIssues(issues),
+      categories: this.aggregateCategories(issues),
+      summary: crawlResult.summary || null,
+      // Outlink lists stay in the job result, the webhook only carries their count
+      pages: (crawlResult.pages || []).map(({ outlinks, ...page }) => ({ ...page, outlinks: outlinks.length })),
+      siteIssues: crawlResult.siteIssues || [],
       creditsUsed: crawlResult.creditsUsed,
       timestamp: new Date().toISOString()
     };
@@ -60,17 +67,26 @@ class WebhookService {
     return this.sendWebhook(payload);
   }
 
-  calculateHealthScore(issues) {
-    // Calculate health score based on issue severity
-    const weights = { low: 1, medium: 2, high: 3, critical: 5 };
-    const totalIssues = issues.length;
-    if (totalIssues === 0) return 100;
+  // A scheduled crawl found critical/high issues that the previous run didn't have
+  async notifyRegression(regression) {
+    const payload = {
+      event: 'crawl.regression',
+      scheduleId: regression.scheduleId,
+      userId: regression.userId,
+      url: regression.url,
+      jobId: regression.jobId,
+      previousJobId: regression.previousJobId,
+      issues: this.categorizeIssues(regression.issues),
+      newIssues: regression.issues,
+      healthScore: regression.healthScore,
+      timestamp: new Date().toISOString()
+    };
 
-    const weightedSum = issues.reduce((sum, issue) => {
-      return sum + (weights[issue.severity] || 1);
-    }, 0);
+    return this.sendWebhook(payload);
+  }
 
-    return Math.max(0, Math.min(100, 100 - (weightedSum / totalIssues) * 10));
+  calculateHealthScore(issues) {
+    return this.report.healthScore(issues);
   }
 
   categorizeIssues(issues) {
@@ -0,0 +1,127 @@
+const CrawlFrontier = require('../services/frontier');
+const DeviceProfiles = require('../services/devices');
+const WebVitals = require('../services/webVitals');
+
+const CRAWL_MODES = ['browser', 'static'];
+
+function validationError(message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  return error;
+}
+
+// Validate the `options` body field of a crawl request; throws a ValidationError
+function validateCrawlOptions(url, depth, options = {}) {
+  if (options.mode && !CRAWL_MODES.includes(options.mode)) {
+    throw validationError(`Invalid mode "${options.mode}". Use one of: ${CRAWL_MODES.join(', ')}`);
+  }
+
+  if (options.devices !== undefined) {
+    const devices = [].concat(options.devices);
+    const known = Object.keys(DeviceProfiles.profiles);
+    const unknown = devices.filter(device => !known.includes(device));
+
+    if (devices.length === 0 || unknown.length > 0) {
+      throw validationError(`Invalid devices. Use one or more of: ${known.join(', ')}`);
+    }
+    if (options.mode === 'static') {
+      throw validationError('Device emulation needs a browser and is not available in static mode');
+    }
+  }
+
+  if (options.har && options.mode === 'static') {
+    throw validationError('HAR export needs a browser and is not available in static mode');
+  }
+
+  if (options.throttling !== undefined) {
+    const allowed = ['none', 'auto', ...Object.keys(WebVitals.presets)];
+    if (!allowed.includes(options.throttling)) {
+      throw validationError(`Invalid throttling "${options.throttling}". Use one of: ${allowed.join(', ')}`);
+    }
+    if (options.throttling !== 'none' && options.mode === 'static') {
+      throw validationError('Throttling needs a browser and is not available in static mode');
+    }
+  }
+
+  if (options.errorAllowlist !== undefined) {
+    const domains = options.errorAllowlist;
+    if (!Array.isArray(domains) || !domains.every(domain => typeof domain === 'string' && domain.length > 0)) {
+      throw validationError('errorAllowlist must be an array of domain names');
+    }
+  }
+
+  if (options.screenshots !== undefined) {
+    validateScreenshots(options.screenshots, options.mode || 'browser');
+  }
+
+  if (options.auth) {
+    validateAuth(options.auth, options.mode || 'browser');
+  }
+
+  // The frontier validates scope, include/exclude patterns and maxPages
+  new CrawlFrontier(url, { ...options, depth });
+}
+
+// true, or { viewport, fullPage, elements, maxCrops }
+function validateScreenshots(screenshots, mode) {
+  if (typeof screenshots === 'boolean') {
+    if (screenshots && mode === 'static') {
+      throw validationError('Screenshots need a browser and are not available in static mode');
+    }
+    return;
+  }
+
+  if (!screenshots || typeof screenshots !== 'object' || Array.isArray(screenshots)) {
+    throw validationError('screenshots must be true or an object of { viewport, fullPage, elements, maxCrops }');
+  }
+  for (const flag of ['viewport', 'fullPage', 'elements']) {
+    if (screenshots[flag] !== undefined && typeof screenshots[flag] !== 'boolean') {
+      throw validationError(`screenshots.${flag} must be a boolean`);
+    }
+  }
+  if (screenshots.viewport === false && !screenshots.fullPage && screenshots.elements === false) {
+    throw validationError('screenshots enables none of viewport, fullPage or elements');
+  }
+  if (mode === 'static') {
+    throw validationError('Screenshots need a browser and are not available in static mode');
+  }
+}
+
+function validateAuth(auth, mode) {
+  const isString = value => typeof value === 'string' && value.length > 0;
+
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies) || !auth.cookies.every(cookie => isString(cookie?.name) && typeof cookie.value === 'string')) {
+      throw validationError('auth.cookies must be an array of { name, value } objects');
+    }
+  }
+
+  if (auth.basic !== undefined && !(isString(auth.basic?.username) && typeof auth.basic.password === 'string')) {
+    throw validationError('auth.basic must be { username, password }');
+  }
+
+  if (auth.headers !== undefined) {
+    const values = auth.headers && typeof auth.headers === 'object' ? Object.values(auth.headers) : null;
+    if (!values || !values.every(value => typeof value === 'string')) {
+      throw validationError('auth.headers must be an object of string header values');
+    }
+  }
+
+  if (auth.login !== undefined) {
+    const { login } = auth;
+    if (mode === 'static') {
+      throw validationError('auth.login needs a browser and is not available in static mode');
+    }
+    if (!isString(login?.url) || !Array.isArray(login.fields || [])) {
+      throw validationError('auth.login must have a url and a fields array');
+    }
+    if (!(login.fields || []).every(field => isString(field?.selector) && field.value !== undefined)) {
+      throw validationError('auth.login fields must be { selector, value } objects');
+    }
+    if (!login.submit && !login.waitFor) {
+      throw validationError('auth.login needs a submit selector or a waitFor selector');
+    }
+  }
+}
+
+module.exports = { CRAWL_MODES, validateCrawlOptions, validationError };
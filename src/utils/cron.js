@@ -0,0 +1,106 @@
+const { validationError } = require('./crawlOptions');
+
+// Schedules are standard 5-field cron expressions evaluated in UTC
+const PRESETS = {
+  hourly: '0 * * * *',
+  daily: '0 3 * * *',
+  weekly: '0 3 * * 1',
+  monthly: '0 3 1 * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Parse "*", "5", "1-5", "*/15", "1-30/5" and comma-separated lists into a Set of values
+function parseField(value, field) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw validationError(`Invalid cron ${field.name} "${part}"`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? field.min : parseInt(start);
+    const to = range === '*' ? field.max : end !== undefined ? parseInt(end) : step ? field.max : from;
+    const increment = step ? parseInt(step) : 1;
+
+    if (from < field.min || to > field.max || from > to || increment < 1) {
+      throw validationError(`Cron ${field.name} "${part}" is out of range ${field.min}-${field.max}`);
+    }
+    for (let i = from; i <= to; i += increment) {
+      values.add(i);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const source = PRESETS[expression] || expression;
+  const parts = typeof source === 'string' ? source.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw validationError(
+      `Invalid schedule "${expression}". Use a 5-field cron expression or one of: ${Object.keys(PRESETS).join(', ')}`
+    );
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Like cron: when both day fields are restricted, either one matching is enough
+    anyDay: parts[2] !== '*' && parts[4] !== '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+
+  return cron.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+// First matching minute strictly after `after`
+function nextRun(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  // Skip whole days and hours that can't match; give up after ~5 years (e.g. "0 0 31 2 *")
+  const limit = after.getTime() + 5 * 366 * 86400000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getUTCMonth() + 1) || !matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw validationError(`Schedule "${expression}" never runs`);
+}
+
+module.exports = { PRESETS, parseCron, nextRun };
@@ -21,6 +21,8 @@ function createRedisClient() {
       hgetall: async () => ({}),
       lpush: async () => 1,
       lrange: async () => [],
+      rpop: async () => null,
+      lrem: async () => 0,
       pipeline: () => ({
         exec: async () => []
       }),
@@ -30,6 +32,7 @@ function createRedisClient() {
       scard: async () => 0,
       sadd: async () => 1,
       srem: async () => 1,
+      smembers: async () => [],
       expire: async () => true,
       del: async () => 1,
       ping: async () => 'PONG'
@@ -0,0 +1,58 @@
+const JobQueue = require('./services/jobQueue');
+const ScheduleService = require('./services/scheduler');
+
+// Standalone worker: picks queued crawl jobs out of Redis and runs them one at a time
+const jobQueue = new JobQueue();
+const pollInterval = parseInt(process.env.WORKER_POLL_INTERVAL) || 5000;
+
+// Without Vercel cron, the worker can tick the scheduler itself (SCHEDULER_INTERVAL ms, 0 = off)
+const scheduleService = new ScheduleService();
+const schedulerInterval = parseInt(process.env.SCHEDULER_INTERVAL) || 0;
+let lastTick = 0;
+
+async function tickSchedules() {
+  if (!schedulerInterval || Date.now() - lastTick < schedulerInterval) return;
+  lastTick = Date.now();
+
+  try {
+    const runs = await scheduleService.tick();
+    if (runs.length > 0) {
+      console.log(`Scheduler queued ${runs.filter(run => run.status === 'queued').length} of ${runs.length} due crawls`);
+    }
+  } catch (error) {
+    console.error('Scheduler tick failed:', error);
+  }
+}
+
+let running = true;
+
+process.on('SIGINT', () => { running = false; });
+process.on('SIGTERM', () => { running = false; });
+
+async function run() {
+  console.log(`Crawl worker started, polling every ${pollInterval}ms`);
+
+  while (running) {
+    await tickSchedules();
+
+    try {
+      const job = await jobQueue.claimNextJob();
+
+      if (!job) {
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        continue;
+      }
+
+      console.log(`Running crawl job ${job.id} for ${job.request.url}`);
+      const finished = await jobQueue.runJob(job);
+      console.log(`Crawl job ${job.id} ${finished.state}`);
+    } catch (error) {
+      console.error('Worker error:', error);
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  }
+
+  console.log('Crawl worker stopped');
+}
+
+run();